@@ -5,8 +5,46 @@
 class FinanceDB {
     constructor() {
         this.dbName = 'FinanceAppDB'; //Nombre de la BD en el navegador
-        this.dbVersion = 1;
+        this.dbVersion = 15;
         this.db = null;
+        //Moneda base de las bases de datos anteriores a la version 5
+        this.defaultCurrency = 'USD';
+        //Version del formato de los respaldos JSON
+        this.backupFormatVersion = 1;
+        //Campos que apuntan a IDs de otras tablas (se remapean al restaurar en modo combinar)
+        this.relations = {
+            //"splits[].categoryId" es el campo categoryId de cada elemento de la lista splits
+            transactions: { recurringId: 'recurring', account: 'accounts', toAccount: 'accounts', categoryId: 'categories', 'splits[].categoryId': 'categories', goalId: 'goals', debtId: 'debts' },
+            recurring: { account: 'accounts', categoryId: 'categories' },
+            budgets: { categoryId: 'categories' },
+            budgetTemplates: { categoryId: 'categories' },
+            alerts: { categoryId: 'categories' },
+            attachments: { transactionId: 'transactions' },
+            categoryRules: { categoryId: 'categories' },
+            categories: { parentId: 'categories' }
+        };
+        //Registros que dependen de otro y se borran con el (tabla -> { tabla dependiente: indice que la une })
+        this.dependents = { transactions: { attachments: 'transactionId' } };
+        //Campos Blob que en el respaldo JSON viajan como data URL
+        this.blobFields = { attachments: ['blob'] };
+        //Campo que identifica un registro repetido al combinar (ej: dos categorias con el mismo nombre)
+        this.naturalKeys = { categories: 'name', accounts: 'name' };
+        //Tablas cuya llave se arma a partir de otros campos (se recalcula al remapear IDs)
+        this.derivedKeys = { budgets: (b) => `${b.month}-${b.categoryId}` };
+        //Historial de comandos para deshacer/rehacer (cada comando guarda el antes y el despues de lo que escribio)
+        this.history = { undo: [], redo: [] };
+        this.historyLimit = 50;
+        this.currentCommand = null;
+        //Se llama al terminar un comando con cambios (la app muestra el aviso para deshacer)
+        this.onCommand = null;
+        //Tablas propias de la sincronizacion de este dispositivo: no se respaldan ni se sincronizan
+        this.deviceStores = ['changes', 'syncIds', 'syncState', 'syncConflicts'];
+        //Lo que tampoco viaja a otros dispositivos: el historial de alertas y los ajustes del navegador
+        this.unsynced = { stores: ['alerts'], settings: ['browserNotifications'] };
+        //Con la sincronizacion activa cada escritura queda anotada en la tabla "changes"
+        this.syncEnabled = false;
+        //Se llama al anotar un cambio local (la app programa la sincronizacion)
+        this.onLocalChange = null;
     }
     
     //Inicializa la conexion y crea las tablas si no existen
@@ -44,12 +82,115 @@ class FinanceDB {
                     txStore.createIndex('date', 'date', { unique: false });
                     txStore.createIndex('type', 'type', { unique: false });
                 }
+                //Indice por categoria (version 4)
+                const transactionsStore = event.target.transaction.objectStore('transactions');
+                if (!transactionsStore.indexNames.contains('category')) {
+                    transactionsStore.createIndex('category', 'categoryId', { unique: false });
+                }
+                //Indice por monto para ordenar el diario por paginas (version 8)
+                if (!transactionsStore.indexNames.contains('amount')) {
+                    transactionsStore.createIndex('amount', 'amount', { unique: false });
+                }
+                //Indice por etiqueta (version 9): multiEntry indexa cada etiqueta de la lista por separado
+                if (!transactionsStore.indexNames.contains('tags')) {
+                    transactionsStore.createIndex('tags', 'tags', { unique: false, multiEntry: true });
+                }
+                //Indice por meta de ahorro (version 12): los aportes de una meta
+                if (!transactionsStore.indexNames.contains('goal')) {
+                    transactionsStore.createIndex('goal', 'goalId', { unique: false });
+                }
+                //Indice por deuda (version 13): los pagos de un prestamo
+                if (!transactionsStore.indexNames.contains('debt')) {
+                    transactionsStore.createIndex('debt', 'debtId', { unique: false });
+                }
 
                 //3. Store: Presupuestos 
-                //keyPath: 'id' manual (ej: "2023-10-Alimentacion")
+                //keyPath: 'id' manual: mes + ID de categoria (ej: "2023-10-1")
                 if (!db.objectStoreNames.contains('budgets')) {
                     db.createObjectStore('budgets', { keyPath: 'id' });
                 }
+
+                //4. Store: Reglas de movimientos recurrentes (version 2)
+                if (!db.objectStoreNames.contains('recurring')) {
+                    db.createObjectStore('recurring', { keyPath: 'id', autoIncrement: true });
+                }
+
+                //5. Store: Cuentas (version 3)
+                if (!db.objectStoreNames.contains('accounts')) {
+                    const accStore = db.createObjectStore('accounts', { keyPath: 'id', autoIncrement: true });
+                    //Cuenta por defecto: los registros que ya existian quedan asociados a ella
+                    accStore.add({ name: 'Efectivo', kind: 'cash', openingBalance: 0, currency: this.defaultCurrency });
+                }
+
+                //6. Store: Ajustes clave-valor (version 5)
+                if (!db.objectStoreNames.contains('settings')) {
+                    const settingsStore = db.createObjectStore('settings', { keyPath: 'key' });
+                    settingsStore.add({ key: 'baseCurrency', value: this.defaultCurrency });
+                }
+
+                //7. Store: Tasas de cambio (version 5)
+                //keyPath: 'id' manual: fecha + moneda (ej: "2025-01-15-EUR")
+                if (!db.objectStoreNames.contains('rates')) {
+                    db.createObjectStore('rates', { keyPath: 'id' });
+                }
+
+                //8. Store: Plantilla de presupuestos (version 6)
+                //keyPath: 'categoryId' porque la plantilla tiene un limite por categoria
+                if (!db.objectStoreNames.contains('budgetTemplates')) {
+                    db.createObjectStore('budgetTemplates', { keyPath: 'categoryId' });
+                }
+
+                //9. Store: Historial de alertas de presupuesto (version 7)
+                if (!db.objectStoreNames.contains('alerts')) {
+                    db.createObjectStore('alerts', { keyPath: 'id', autoIncrement: true });
+                }
+
+                //10. Store: Adjuntos (comprobantes) de las transacciones (version 10)
+                //El archivo se guarda como Blob; el indice permite buscar los de un registro
+                if (!db.objectStoreNames.contains('attachments')) {
+                    const attStore = db.createObjectStore('attachments', { keyPath: 'id', autoIncrement: true });
+                    attStore.createIndex('transactionId', 'transactionId', { unique: false });
+                }
+
+                //11. Store: Reglas de categorizacion automatica (version 11)
+                if (!db.objectStoreNames.contains('categoryRules')) {
+                    db.createObjectStore('categoryRules', { keyPath: 'id', autoIncrement: true });
+                }
+
+                //12. Store: Metas de ahorro (version 12)
+                if (!db.objectStoreNames.contains('goals')) {
+                    db.createObjectStore('goals', { keyPath: 'id', autoIncrement: true });
+                }
+
+                //13. Store: Deudas y prestamos (version 13)
+                if (!db.objectStoreNames.contains('debts')) {
+                    db.createObjectStore('debts', { keyPath: 'id', autoIncrement: true });
+                }
+
+                //14. Stores de sincronizacion (version 14)
+                //changes: cambios locales pendientes de enviar { store, key, op: 'put' | 'delete', at }
+                if (!db.objectStoreNames.contains('changes')) {
+                    const changesStore = db.createObjectStore('changes', { keyPath: 'id', autoIncrement: true });
+                    changesStore.createIndex('record', ['store', 'key'], { unique: false });
+                }
+                //syncIds: ID global de cada registro sincronizado -> su llave local { uid, store, key, at }
+                if (!db.objectStoreNames.contains('syncIds')) {
+                    const idsStore = db.createObjectStore('syncIds', { keyPath: 'uid' });
+                    idsStore.createIndex('record', ['store', 'key'], { unique: false });
+                }
+                //syncState: configuracion y posicion de la sincronizacion (clave-valor)
+                if (!db.objectStoreNames.contains('syncState')) {
+                    db.createObjectStore('syncState', { keyPath: 'key' });
+                }
+                //syncConflicts: versiones que perdieron al resolver un conflicto, para revisarlas
+                if (!db.objectStoreNames.contains('syncConflicts')) {
+                    db.createObjectStore('syncConflicts', { keyPath: 'id', autoIncrement: true });
+                }
+
+                //Migraciones de datos de versiones anteriores
+                if (event.oldVersion > 0) {
+                    this.runMigrations(event.target.transaction, event.oldVersion);
+                }
             };
 
             request.onsuccess = (event) => {
@@ -60,6 +201,101 @@ class FinanceDB {
         });
     }
 
+    //MIGRACIONES
+
+    //Ejecuta en orden (una detras de otra) las migraciones posteriores a oldVersion
+    //Van en serie porque varias modifican los mismos registros
+    runMigrations(upgradeTx, oldVersion) {
+        const migrations = {
+            3: (done) => this.migrateAccounts(upgradeTx, done),
+            4: (done) => this.migrateCategoryIds(upgradeTx, done),
+            5: (done) => this.migrateCurrencies(upgradeTx, done),
+            15: (done) => this.migrateMissingCurrencies(upgradeTx, done)
+        };
+        const steps = Object.keys(migrations).map(Number).filter(v => v > oldVersion).sort((a, b) => a - b);
+        const next = () => {
+            const version = steps.shift();
+            if (version) {
+                console.log(`Migrando datos a la version ${version}...`);
+                migrations[version](next);
+            }
+        };
+        next();
+    }
+
+    //Recorre una tabla con un cursor; fn devuelve el registro modificado (o null para dejarlo igual)
+    updateEach(store, fn, done) {
+        store.openCursor().onsuccess = (e) => {
+            const cursor = e.target.result;
+            if (!cursor) return done();
+            const updated = fn(cursor.value);
+            if (updated) cursor.update(updated);
+            cursor.continue();
+        };
+    }
+
+    //Version 3: los registros existentes pasan a la cuenta por defecto
+    migrateAccounts(upgradeTx, done) {
+        const request = upgradeTx.objectStore('accounts').getAll();
+        request.onsuccess = () => {
+            const defaultId = request.result[0].id;
+            const assign = (r) => r.account ? null : { ...r, account: defaultId };
+            this.updateEach(upgradeTx.objectStore('transactions'), assign, () => {
+                this.updateEach(upgradeTx.objectStore('recurring'), assign, done);
+            });
+        };
+    }
+
+    //Version 4: transacciones, reglas y presupuestos referencian la categoria por ID en vez de por nombre
+    migrateCategoryIds(upgradeTx, done) {
+        const request = upgradeTx.objectStore('categories').getAll();
+        request.onsuccess = () => {
+            const idsByName = {};
+            request.result.forEach(c => { idsByName[c.name] = c.id; });
+            const toId = (r) => {
+                if (!('category' in r)) return null;
+                const { category, ...rest } = r;
+                return { ...rest, categoryId: category ? (idsByName[category] ?? null) : null };
+            };
+
+            this.updateEach(upgradeTx.objectStore('transactions'), toId, () => {
+                this.updateEach(upgradeTx.objectStore('recurring'), toId, () => {
+                    //En presupuestos cambia tambien la llave, asi que se borra y se vuelve a crear
+                    const budgetStore = upgradeTx.objectStore('budgets');
+                    budgetStore.openCursor().onsuccess = (e) => {
+                        const cursor = e.target.result;
+                        if (!cursor) return done();
+                        const migrated = toId(cursor.value);
+                        if (migrated) {
+                            cursor.delete();
+                            if (migrated.categoryId !== null) {
+                                budgetStore.put({ ...migrated, id: this.derivedKeys.budgets(migrated) });
+                            }
+                        }
+                        cursor.continue();
+                    };
+                });
+            });
+        };
+    }
+
+    //Version 5: cuentas y transacciones existentes quedan en la moneda base por defecto
+    migrateCurrencies(upgradeTx, done, currency = this.defaultCurrency) {
+        const assign = (r) => r.currency ? null : { ...r, currency };
+        this.updateEach(upgradeTx.objectStore('accounts'), assign, () => {
+            this.updateEach(upgradeTx.objectStore('transactions'), assign, done);
+        });
+    }
+
+    //Version 15: la cuenta por defecto de las instalaciones nuevas se creaba sin moneda
+    //Esos montos se mostraban con tasa 1, es decir, en la moneda base configurada
+    migrateMissingCurrencies(upgradeTx, done) {
+        const request = upgradeTx.objectStore('settings').get('baseCurrency');
+        request.onsuccess = () => {
+            this.migrateCurrencies(upgradeTx, done, request.result ? request.result.value : this.defaultCurrency);
+        };
+    }
+
     //Metodos Genericos para leer/escribir datos
 
     //Obtener todos los datos de una tabla (store)
@@ -72,789 +308,6087 @@ class FinanceDB {
         });
     }
 
-    //Agregar un dato a una tabla
+    //Agregar un dato a una tabla (devuelve su ID)
     add(storeName, data) {
         return new Promise((resolve) => {
-            const tx = this.db.transaction(storeName, 'readwrite');
+            const tx = this.transaction(storeName, 'readwrite');
             const store = tx.objectStore(storeName);
-            store.add(data);
-            tx.oncomplete = () => resolve(true);
+            const request = store.add(data);
+            tx.oncomplete = () => resolve(request.result);
         });
     }
 
-     //Eliminar un dato por su ID
-    delete(storeName, id) {
+    //Agregar o reemplazar un dato (si el ID ya existe lo sobreescribe)
+    put(storeName, data) {
         return new Promise((resolve) => {
-            const tx = this.db.transaction(storeName, 'readwrite');
+            const tx = this.transaction(storeName, 'readwrite');
             const store = tx.objectStore(storeName);
-            store.delete(id);
+            store.put(data);
             tx.oncomplete = () => resolve(true);
         });
     }
-}
 
-/**
- * Logica Principal de la Aplicacion
- * Controla la interfaz y une la BD con el HTML.
- */
-class FinanceApp {
-    constructor() {
-        this.db = new FinanceDB();
-        //Definimos el mes actual
-        const now = new Date();
-        const year = now.getFullYear();
-        const month = String(now.getMonth() + 1).padStart(2, '0');
-        this.currentMonth = `${year}-${month}`;
-        this.editingTransactionRow = null;
-        this.charts = {}; 
-        this.editingTxId = null;
-        //Texto blanco para los graficos
-        Chart.defaults.color = '#ffffff'; 
-        Chart.defaults.borderColor = '#30363d';
-        this.colors = ['#a5d6ff', '#ffa657', '#d2a8ff', '#7ee787', '#f0f6fc']; 
+    //Obtener los datos de una tabla que coinciden con un valor de un indice
+    getAllByIndex(storeName, indexName, value) {
+        return new Promise((resolve) => {
+            const tx = this.db.transaction(storeName, 'readonly');
+            const request = tx.objectStore(storeName).index(indexName).getAll(value);
+            request.onsuccess = () => resolve(request.result);
+        });
     }
 
-    async init() {
-        //Conectar a la BD
-        await this.db.connect();
-        
-        //Inicializar filtro de fecha en el HTML
-        const dateInput = document.getElementById('global-month');
-        if(dateInput) {
-            dateInput.value = this.currentMonth;
-            dateInput.addEventListener('change', (e) => {
-                this.handleDateChange(e.target.value);
-            });
+    //Valores distintos de un indice, sin leer los registros (ej: todas las etiquetas usadas)
+    getIndexKeys(storeName, indexName) {
+        return new Promise((resolve) => {
+            const tx = this.db.transaction(storeName, 'readonly');
+            const request = tx.objectStore(storeName).index(indexName).openKeyCursor(null, 'nextunique');
+            const keys = [];
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return resolve(keys);
+                keys.push(cursor.key);
+                cursor.continue();
+            };
+        });
+    }
+
+    //Armar un IDBKeyRange entre dos valores (cualquiera de los dos puede faltar)
+    //lowerOpen/upperOpen excluyen el extremo (ej: "antes de" no incluye la fecha)
+    //Devuelve null si no hay limites y undefined si el rango no puede tener resultados
+    buildKeyRange(lower, upper, lowerOpen = false, upperOpen = false) {
+        if (lower !== null && upper !== null) {
+            //Un rango invertido lanzaria un error en IDBKeyRange
+            if (lower > upper || (lower === upper && (lowerOpen || upperOpen))) return undefined;
+            return IDBKeyRange.bound(lower, upper, lowerOpen, upperOpen);
         }
-        //Cargar categorias al iniciar
-        this.updateUI();
+        if (lower !== null) return IDBKeyRange.lowerBound(lower, lowerOpen);
+        if (upper !== null) return IDBKeyRange.upperBound(upper, upperOpen);
+        return null;
     }
 
-    async updateUI() {
-        //Funcion central para actualizar toda la interfaz
-        await this.renderCategories();
-        await this.renderTransactions();
-        await this.renderBudgets();
-        await this.updateDashboard();
+    //Obtener los datos de un indice entre dos valores
+    getByRange(storeName, indexName, lower, upper, lowerOpen = false, upperOpen = false) {
+        const range = this.buildKeyRange(lower, upper, lowerOpen, upperOpen);
+        if (range === undefined) return Promise.resolve([]);
+        return this.getAllByIndex(storeName, indexName, range);
     }
 
-    createEl(tag, className = '', text = '') {
-        const el = document.createElement(tag);
-        if (className) el.className = className;
-        if (text) el.textContent = text;
-        return el;
+    //Leer una pagina recorriendo un indice con un cursor
+    //bounds: { lower, upper, lowerOpen, upperOpen } | direction: 'next' (ascendente) o 'prev'
+    //after: posicion { key, primaryKey } donde termino la pagina anterior (null = desde el principio)
+    //filter: solo cuentan los registros que lo cumplan
+    //Devuelve { items, last, hasMore }; last sirve como "after" de la pagina siguiente
+    getPage(storeName, indexName, { bounds = null, direction = 'next', after = null, limit = 50, filter = () => true } = {}) {
+        return new Promise((resolve, reject) => {
+            const range = bounds ? this.buildKeyRange(bounds.lower, bounds.upper, bounds.lowerOpen, bounds.upperOpen) : null;
+            if (range === undefined) return resolve({ items: [], last: null, hasMore: false });
+
+            const tx = this.db.transaction(storeName, 'readonly');
+            const request = tx.objectStore(storeName).index(indexName).openCursor(range, direction);
+            const sign = direction === 'prev' ? -1 : 1;
+            const items = [];
+            let last = null;
+            let resumed = !after;
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return resolve({ items, last, hasMore: false });
+
+                //Retomar justo despues de la ultima posicion de la pagina anterior
+                if (!resumed) {
+                    const byKey = indexedDB.cmp(cursor.key, after.key);
+                    const position = (byKey !== 0 ? byKey : indexedDB.cmp(cursor.primaryKey, after.primaryKey)) * sign;
+                    if (position < 0) {
+                        cursor.continuePrimaryKey(after.key, after.primaryKey);
+                        return;
+                    }
+                    resumed = true;
+                    if (position === 0) {
+                        cursor.continue();
+                        return;
+                    }
+                }
+
+                if (filter(cursor.value)) {
+                    //Ya tenemos la pagina completa: con encontrar uno mas sabemos que hay otra
+                    if (items.length === limit) return resolve({ items, last, hasMore: true });
+                    items.push(cursor.value);
+                    last = { key: cursor.key, primaryKey: cursor.primaryKey };
+                }
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        });
     }
-    
-// CATEGORIAS
 
-    //Renderizar categorias
-    async renderCategories() {
-        const categories = await this.db.getAll('categories');
+    //Tablas que hay que abrir para borrar en storeName (ella y sus dependientes)
+    withDependents(storeName) {
+        return [storeName, ...Object.keys(this.dependents[storeName] || {})];
+    }
 
-        //Referencias a elementos del DOM
-        const list = document.getElementById('cat-list');
-        const selectTx = document.getElementById('tx-category');
-        const selectBudget = document.getElementById('budget-category');
-        const selectFilterCat = document.getElementById('filter-category');
+    //Borrar un dato y, en la misma transaccion, los registros que dependen de el (ej: adjuntos de una transaccion)
+    deleteWithDependents(tx, storeName, id) {
+        tx.objectStore(storeName).delete(id);
+        Object.entries(this.dependents[storeName] || {}).forEach(([depName, indexName]) => {
+            const depStore = tx.objectStore(depName);
+            const request = depStore.index(indexName).getAllKeys(id);
+            request.onsuccess = () => request.result.forEach(key => depStore.delete(key));
+        });
+    }
 
-        //Limpieza SEGURA
-        if (list) list.replaceChildren(); 
-        
-        //Resetear selects
-        if (selectTx) {
-            selectTx.replaceChildren();
-            selectTx.appendChild(this.createEl('option', '', 'Seleccionar...'));
-        }
-        if (selectBudget) {
-            selectBudget.replaceChildren();
-            selectBudget.appendChild(this.createEl('option', '', 'Seleccionar...'));
-        }
-        
-        let currentFilterVal = 'all';
+     //Eliminar un dato por su ID
+    delete(storeName, id) {
+        return new Promise((resolve) => {
+            const tx = this.transaction(this.withDependents(storeName), 'readwrite');
+            this.deleteWithDependents(tx, storeName, id);
+            tx.oncomplete = () => resolve(true);
+        });
+    }
 
-        //Resetear el filtro de categorias
-        if (selectFilterCat) {
-            //Guardamos el valor actual para no perder la selección al refrescar
-            currentFilterVal = selectFilterCat.value;
-            selectFilterCat.replaceChildren();
-            const allOpt = this.createEl('option', '', 'Todas las Categorias');
-            allOpt.value = 'all';
-            selectFilterCat.appendChild(allOpt);
-        }
+    //Agregar varios datos en una sola transaccion (si uno falla, no se guarda ninguno)
+    bulkAdd(storeName, items) {
+        return new Promise((resolve, reject) => {
+            const tx = this.transaction(storeName, 'readwrite');
+            const store = tx.objectStore(storeName);
+            items.forEach(item => store.add(item));
+            tx.oncomplete = () => resolve(items.length);
+            //El error de la escritura que fallo (tx.error recien se llena al cancelarse)
+            tx.onerror = (event) => reject(event.target.error || tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
 
-        categories.forEach(cat => {
-            //Llenar tabla de gestion
-            if (list) {
-                const row = this.createEl('tr');
-                const tdName = this.createEl('td', '', cat.name);
-                row.appendChild(tdName);
+    //Guardar un registro y sus dependientes nuevos (ej: un movimiento y sus comprobantes) en una sola transaccion
+    //dependents: { tabla dependiente: [registros] }; cada uno queda apuntando al registro guardado
+    //Devuelve el ID; si algo falla (ej: sin espacio para los archivos) no se guarda nada
+    putWithDependents(storeName, data, dependents = {}) {
+        return new Promise((resolve, reject) => {
+            const tx = this.transaction([storeName, ...Object.keys(dependents)], 'readwrite');
+            const request = tx.objectStore(storeName).put(data);
+            request.onsuccess = () => {
+                Object.entries(dependents).forEach(([name, items]) => {
+                    const field = this.dependents[storeName][name];
+                    const store = tx.objectStore(name);
+                    items.forEach(item => store.add({ ...item, [field]: request.result }));
+                });
+            };
+            tx.oncomplete = () => resolve(request.result);
+            tx.onerror = (event) => reject(event.target.error || tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
 
-                const tdActions = this.createEl('td');
-                const btnEdit = this.createEl('button', 'btn btn-primary');
-                btnEdit.style.marginRight = '5px';
-                btnEdit.onclick = () => this.prepareEditCategory(cat.id, cat.name); // CAMBIADO
-                btnEdit.appendChild(this.createEl('i', 'fas fa-edit'));
+    //Vaciar una tabla y guardar items en su lugar, en una sola transaccion (sin items solo la vacia)
+    replaceAll(storeName, items = []) {
+        return new Promise((resolve, reject) => {
+            const tx = this.transaction(storeName, 'readwrite');
+            const store = tx.objectStore(storeName);
+            store.clear();
+            items.forEach(item => store.put(item));
+            tx.oncomplete = () => resolve(items.length);
+            tx.onerror = (event) => reject(event.target.error || tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
 
-                const btnDel = this.createEl('button', 'btn btn-danger');
-                btnDel.onclick = () => this.deleteCategory(cat.id);
-                btnDel.appendChild(this.createEl('i', 'fas fa-trash'));
+    //Actualizar y borrar varios datos en una sola transaccion (todo o nada)
+    bulkWrite(storeName, puts = [], deleteIds = []) {
+        return new Promise((resolve, reject) => {
+            const tx = this.transaction(this.withDependents(storeName), 'readwrite');
+            const store = tx.objectStore(storeName);
+            puts.forEach(item => store.put(item));
+            deleteIds.forEach(id => this.deleteWithDependents(tx, storeName, id));
+            tx.oncomplete = () => resolve(puts.length + deleteIds.length);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
 
-                tdActions.appendChild(btnEdit);
-                tdActions.appendChild(btnDel);
-                row.appendChild(tdActions);
-                list.appendChild(row);
-            }
+    //HISTORIAL (DESHACER / REHACER)
 
-            //Llenar selects
-            if (selectTx) {
-                const opt = this.createEl('option', '', cat.name);
-                opt.value = cat.name;
-                selectTx.appendChild(opt);
+    //Abrir una transaccion; las de escritura dentro de un comando quedan registradas para poder deshacerlas
+    //Con la sincronizacion activa, las escrituras en tablas sincronizadas se anotan ademas en "changes" (en la misma transaccion)
+    transaction(storeNames, mode = 'readonly') {
+        const names = [].concat(storeNames);
+        const logged = mode === 'readwrite' && this.syncEnabled && names.some(name => this.isSynced(name));
+        const tx = this.db.transaction(logged ? [...new Set([...names, 'changes'])] : storeNames, mode);
+        if (mode !== 'readwrite' || (!this.currentCommand && !logged)) return tx;
+        //Fuera de un comando las escrituras solo se anotan para sincronizar
+        const changes = this.currentCommand ? this.currentCommand.changes : [];
+        const objectStore = tx.objectStore.bind(tx);
+        const changeLog = logged ? objectStore('changes') : null;
+        tx.objectStore = (name) => this.trackStore(objectStore(name), changes, changeLog && this.isSynced(name) ? changeLog : null);
+        return tx;
+    }
+
+    //Si los registros de una tabla (o un ajuste puntual) viajan a los otros dispositivos
+    isSynced(storeName, key = null) {
+        if (this.deviceStores.includes(storeName) || this.unsynced.stores.includes(storeName)) return false;
+        return !(storeName === 'settings' && this.unsynced.settings.includes(key));
+    }
+
+    //Envuelve un store para anotar cada escritura como { store, key, before, after }
+    //before/after undefined significa que el registro no existia (antes) o quedo borrado (despues)
+    //changeLog (opcional) es el store "changes" donde se anota cada escritura para sincronizar
+    trackStore(store, changes, changeLog = null) {
+        const keyPath = store.keyPath;
+        const log = (key, op) => {
+            if (!changeLog || !this.isSynced(store.name, key)) return;
+            changeLog.add({ store: store.name, key, op, at: Date.now() });
+            if (this.onLocalChange) this.onLocalChange();
+        };
+        //Si la transaccion falla se cancela entera: la escritura no ocurrio y no hay nada que deshacer
+        //("error" llega antes que el onerror que rechaza la promesa; "abort" llega despues)
+        const discardOnAbort = (change) => {
+            const discard = () => { change.aborted = true; };
+            store.transaction.addEventListener('error', discard);
+            store.transaction.addEventListener('abort', discard);
+        };
+        //El valor anterior se lee en la misma transaccion, justo antes de escribir
+        const record = (key, after) => {
+            const change = { store: store.name, key, before: undefined, after: after === undefined ? undefined : structuredClone(after) };
+            changes.push(change);
+            discardOnAbort(change);
+            if (key !== undefined) {
+                const request = store.get(key);
+                request.onsuccess = () => { change.before = request.result; };
             }
-            if (selectBudget) {
-                const opt = this.createEl('option', '', cat.name);
-                opt.value = cat.name;
-                selectBudget.appendChild(opt);
+            return change;
+        };
+        const write = (method) => (value, key) => {
+            const change = record(key !== undefined ? key : value[keyPath], value);
+            const request = store[method](value, key);
+            //Con ID automatico la llave se conoce recien al guardar
+            request.addEventListener('success', () => {
+                change.key = request.result;
+                change.after[keyPath] = request.result;
+                log(request.result, 'put');
+            });
+            return request;
+        };
+        const tracked = {
+            add: write('add'),
+            put: write('put'),
+            delete: (key) => {
+                record(key, undefined);
+                log(key, 'delete');
+                return store.delete(key);
+            },
+            clear: () => {
+                //Se reserva el lugar en la lista para respetar el orden de las escrituras
+                const change = { store: store.name, cleared: [] };
+                changes.push(change);
+                discardOnAbort(change);
+                const request = store.getAll();
+                request.onsuccess = () => {
+                    change.cleared = request.result;
+                    change.cleared.forEach(r => log(r[keyPath], 'delete'));
+                };
+                return store.clear();
             }
-            //Llenar el filtro de la tabla
-            if (selectFilterCat) {
-                const opt = this.createEl('option', '', cat.name);
-                opt.value = cat.name;
-                selectFilterCat.appendChild(opt);
+        };
+        return new Proxy(store, {
+            get: (target, prop) => {
+                if (prop in tracked) return tracked[prop];
+                const value = target[prop];
+                return typeof value === 'function' ? value.bind(target) : value;
             }
         });
-
-        if (selectFilterCat) selectFilterCat.value = currentFilterVal;
     }
 
-    //Manejar el formulario de categorias (crear o editar)
-    async handleCategoryForm(e) {
-        e.preventDefault(); //Evita que se recargue la pagina
-        
-        const catIdInput = document.getElementById('cat-id');
-        const nameInput = document.getElementById('cat-name');
-        const name = nameInput.value;
-        
-        if(name) {
-            if (catIdInput.value) {
-                // Modo EDITAR
-                await this.editCategory(catIdInput.value, name);
-            } else {
-                // Modo CREAR
-                await this.db.add('categories', { name });
-                alert('Nueva Categoria agregada.');
-            }
-            
-            nameInput.value = '';  //Limpiar input
-            catIdInput.value = ''; // Limpiar ID
-            this.resetCategoryForm(); // Resetear formulario
-            this.updateUI(); //Recargar lista
+    //Agrupar las escrituras de una accion del usuario en un solo paso del historial
+    //Un comando dentro de otro (ej: archivar desde el dialogo de borrado) se suma al de afuera
+    async command(label, fn) {
+        if (this.currentCommand) return fn();
+        const command = { label, changes: [] };
+        this.currentCommand = command;
+        let result;
+        try {
+            result = await fn();
+        } finally {
+            this.currentCommand = null;
+        }
+        //Solo llega aqui si fn termino bien: un comando que fallo no entra al historial
+        //Tampoco las escrituras canceladas, las que nunca obtuvieron llave (ej: un add rechazado) ni vaciar una tabla ya vacia
+        command.changes = command.changes.filter(c => !c.aborted && (c.cleared ? c.cleared.length > 0 : c.key !== undefined));
+        if (command.changes.length > 0) {
+            this.history.undo.push(command);
+            if (this.history.undo.length > this.historyLimit) this.history.undo.shift();
+            this.history.redo = [];
+            if (this.onCommand) this.onCommand(command);
         }
+        return result;
     }
 
-    //Preparar formulario para editar categoria
-    prepareEditCategory(id, name) {
-        const formTitle = document.getElementById('category-form-title');
-        const submitBtn = document.getElementById('category-submit-btn');
-        const cancelBtn = document.getElementById('category-cancel-btn');
-        const catIdInput = document.getElementById('cat-id');
-        const catNameInput = document.getElementById('cat-name');
-        
-        // Cambiar textos
-        formTitle.textContent = 'Editar Categoria';
-        submitBtn.textContent = 'Actualizar';
-        
-        // Mostrar botón cancelar
-        cancelBtn.style.display = 'inline-block';
-        
-        // Llenar datos en el formulario
-        catIdInput.value = id;
-        catNameInput.value = name;
-        
-        // Enfocar y seleccionar el texto
-        catNameInput.focus();
-        catNameInput.select();
-        
-        // Desplazar al formulario
-        document.getElementById('category-form').scrollIntoView({ behavior: 'smooth' });
+    //Aplicar un comando al reves (deshacer) o de nuevo (rehacer) en una sola transaccion
+    applyCommand(command, direction) {
+        return new Promise((resolve, reject) => {
+            const storeNames = [...new Set(command.changes.map(c => c.store))];
+            //Con this.transaction lo deshecho tambien se anota para sincronizar
+            const tx = this.transaction(storeNames, 'readwrite');
+            //Al deshacer se recorre del ultimo cambio al primero
+            const changes = direction === 'undo' ? [...command.changes].reverse() : command.changes;
+            changes.forEach(change => {
+                const store = tx.objectStore(change.store);
+                if (change.cleared) {
+                    if (direction === 'undo') change.cleared.forEach(r => store.put(r));
+                    else store.clear();
+                    return;
+                }
+                const value = direction === 'undo' ? change.before : change.after;
+                if (value === undefined) store.delete(change.key);
+                else store.put(value);
+            });
+            tx.oncomplete = () => resolve(command);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
     }
 
-    
-    //Resetear formulario de categorias
-    resetCategoryForm() {
-        const formTitle = document.getElementById('category-form-title');
-        const submitBtn = document.getElementById('category-submit-btn');
-        const cancelBtn = document.getElementById('category-cancel-btn');
-        const catIdInput = document.getElementById('cat-id');
-        const catNameInput = document.getElementById('cat-name');
-        
-        // Restaurar textos
-        formTitle.textContent = 'Nuevas Categorias';
-        submitBtn.textContent = 'Agregar';
-        submitBtn.innerHTML = 'Agregar'; // También resetear el HTML por si tiene iconos
-        
-        // Ocultar botón cancelar
-        if (cancelBtn) cancelBtn.style.display = 'none';
-        
-        // LIMPIAR INPUTS - ESTA ES LA PARTE IMPORTANTE
-        if (catIdInput) {
-            catIdInput.value = '';
-            console.log("Input cat-id limpiado");
+    //Deshacer el ultimo comando (devuelve null si no hay nada que deshacer)
+    async undo() {
+        const command = this.history.undo[this.history.undo.length - 1];
+        if (!command) return null;
+        await this.applyCommand(command, 'undo');
+        this.history.redo.push(this.history.undo.pop());
+        return command;
+    }
+
+    //Volver a aplicar el ultimo comando deshecho
+    async redo() {
+        const command = this.history.redo[this.history.redo.length - 1];
+        if (!command) return null;
+        await this.applyCommand(command, 'redo');
+        this.history.undo.push(this.history.redo.pop());
+        return command;
+    }
+
+    //RESPALDO Y RESTAURACION
+
+    //Leer todas las tablas en una sola transaccion para obtener una foto consistente
+    exportAll() {
+        return new Promise((resolve, reject) => {
+            const storeNames = Array.from(this.db.objectStoreNames).filter(name => !this.deviceStores.includes(name));
+            const tx = this.db.transaction(storeNames, 'readonly');
+            const stores = {};
+            storeNames.forEach(name => {
+                const request = tx.objectStore(name).getAll();
+                request.onsuccess = () => { stores[name] = request.result; };
+            });
+            tx.oncomplete = async () => {
+                await this.encodeBlobs(stores);
+                resolve({
+                    app: this.dbName,
+                    formatVersion: this.backupFormatVersion,
+                    dbVersion: this.dbVersion,
+                    exportedAt: new Date().toISOString(),
+                    stores
+                });
+            };
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    //Pasar los Blob a data URL (texto) para que entren en el JSON
+    async encodeBlobs(stores) {
+        const toDataUrl = (blob) => new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+        for (const [storeName, fields] of Object.entries(this.blobFields)) {
+            for (const record of stores[storeName] || []) {
+                for (const field of fields) {
+                    if (record[field] instanceof Blob) record[field] = await toDataUrl(record[field]);
+                }
+            }
         }
-        
-        if (catNameInput) {
-            catNameInput.value = '';
-            catNameInput.placeholder = 'Nombre de la Categoria...';
-            console.log("Input cat-name limpiado");
+    }
+
+    //Lo contrario al restaurar: data URL -> Blob (se hace sin esperas para no cerrar la transaccion)
+    decodeBlobs(storeName, record) {
+        (this.blobFields[storeName] || []).forEach(field => {
+            const match = typeof record[field] === 'string' && record[field].match(/^data:([^;,]*)(;base64)?,(.*)$/);
+            if (!match) return;
+            const text = match[2] ? atob(match[3]) : decodeURIComponent(match[3]);
+            const bytes = Uint8Array.from(text, ch => ch.charCodeAt(0));
+            record[field] = new Blob([bytes], { type: match[1] });
+        });
+        return record;
+    }
+
+    //Ordenar tablas para que las referenciadas vayan antes que las que las referencian
+    orderByRelations(storeNames) {
+        const ordered = [];
+        const visit = (name) => {
+            if (ordered.includes(name)) return;
+            Object.values(this.relations[name] || {}).forEach(target => {
+                if (target !== name && storeNames.includes(target)) visit(target);
+            });
+            ordered.push(name);
+        };
+        storeNames.forEach(visit);
+        return ordered;
+    }
+
+    //Copia de un registro con cada referencia (segun relations) pasada por fn(tablaDestino, id)
+    mapRelations(storeName, record, fn) {
+        const copy = { ...record };
+        Object.entries(this.relations[storeName] || {}).forEach(([field, target]) => {
+            const [list, subField] = field.split('[].');
+            if (subField) {
+                if (Array.isArray(copy[list])) {
+                    copy[list] = copy[list].map(item => item[subField] === undefined ? item : { ...item, [subField]: fn(target, item[subField]) });
+                }
+            } else if (field in copy) copy[field] = fn(target, copy[field]);
+        });
+        return copy;
+    }
+
+    //Revisar que el archivo sea un respaldo valido antes de tocar la BD
+    //Devuelve una lista de errores (vacia si todo esta bien)
+    validateBackup(data) {
+        const errors = [];
+        if (!data || typeof data !== 'object') return ['El archivo no contiene un objeto JSON.'];
+        if (data.app !== this.dbName) errors.push('El archivo no es un respaldo de esta aplicacion.');
+        if (data.formatVersion > this.backupFormatVersion) errors.push('El respaldo fue creado con una version mas nueva del formato.');
+        if (data.dbVersion > this.dbVersion) errors.push('El respaldo fue creado con una version mas nueva de la base de datos.');
+        if (!data.stores || typeof data.stores !== 'object') return errors.concat('Falta la seccion "stores".');
+
+        const known = Array.from(this.db.objectStoreNames).filter(name => !this.deviceStores.includes(name));
+        Object.keys(data.stores).forEach(name => {
+            if (!known.includes(name)) {
+                errors.push(`Tabla desconocida: ${name}`);
+                return;
+            }
+            if (!Array.isArray(data.stores[name])) {
+                errors.push(`La tabla ${name} no es una lista.`);
+                return;
+            }
+            const keyPath = this.db.transaction(name, 'readonly').objectStore(name).keyPath;
+            data.stores[name].forEach((record, idx) => {
+                if (!record || typeof record !== 'object' || record[keyPath] === undefined) {
+                    errors.push(`Registro ${idx + 1} de ${name} no tiene "${keyPath}".`);
+                }
+            });
+        });
+
+        (data.stores.transactions || []).forEach((t, idx) => {
+            if (typeof t.amount !== 'number' || !t.date || !t.type) {
+                errors.push(`Transaccion ${idx + 1} incompleta (monto, fecha o tipo).`);
+            }
+        });
+        return errors;
+    }
+
+    //Adapta un respaldo de una version anterior al esquema actual (mismas reglas que las migraciones)
+    upgradeBackup(data) {
+        const stores = data.stores;
+        if (data.dbVersion < 3 && !stores.accounts) {
+            stores.accounts = [{ id: 1, name: 'Efectivo', kind: 'cash', openingBalance: 0, currency: this.defaultCurrency }];
+            ['transactions', 'recurring'].forEach(name => {
+                stores[name] = (stores[name] || []).map(r => r.account ? r : { ...r, account: 1 });
+            });
         }
-        
-        // Remover cualquier clase de edición del formulario
-        const form = document.getElementById('category-form');
-        if (form) {
-            form.classList.remove('editing-mode');
+        if (data.dbVersion < 4) {
+            const idsByName = {};
+            (stores.categories || []).forEach(c => { idsByName[c.name] = c.id; });
+            const toId = (r) => {
+                if (!('category' in r)) return r;
+                const { category, ...rest } = r;
+                return { ...rest, categoryId: category ? (idsByName[category] ?? null) : null };
+            };
+            ['transactions', 'recurring'].forEach(name => {
+                if (stores[name]) stores[name] = stores[name].map(toId);
+            });
+            if (stores.budgets) {
+                stores.budgets = stores.budgets.map(toId)
+                    .filter(b => b.categoryId !== null)
+                    .map(b => ({ ...b, id: this.derivedKeys.budgets(b) }));
+            }
         }
+        if (data.dbVersion < 15) {
+            //Antes de la version 5 no habia moneda base; despues, los montos sin moneda estaban en la base configurada
+            const base = (stores.settings || []).find(s => s.key === 'baseCurrency');
+            const currency = data.dbVersion >= 5 && base ? base.value : this.defaultCurrency;
+            ['accounts', 'transactions'].forEach(name => {
+                if (stores[name]) stores[name] = stores[name].map(r => r.currency ? r : { ...r, currency });
+            });
+        }
+        data.dbVersion = this.dbVersion;
     }
 
-    //Editar categoria (nueva versión sin prompt)
-    async editCategory(id, newName) {
-        const categories = await this.db.getAll('categories');
-        const cat = categories.find(c => c.id === parseInt(id));
-        if (!cat) return;
+    //Reconstruir las tablas en una sola transaccion (si algo falla, no cambia nada)
+    //mode: 'replace' borra todo antes de cargar, 'merge' agrega a lo existente con IDs nuevos
+    restore(data, mode) {
+        return new Promise((resolve, reject) => {
+            const storeNames = Array.from(this.db.objectStoreNames).filter(name => !this.deviceStores.includes(name));
+            //Con this.transaction lo restaurado tambien se anota para sincronizar
+            const tx = this.transaction(storeNames, 'readwrite');
+            const idMaps = {};
+            let written = 0;
 
-        if (newName && newName !== cat.name) {
-            //Actualizar la categoria
-            const txCat = this.db.db.transaction(['categories', 'transactions'], 'readwrite');
-            //Actualizar Category Store
-            const catStore = txCat.objectStore('categories');
-            catStore.put({ id: parseInt(id), name: newName });
-            //Actualizar Transacciones asociadas
-            const txStore = txCat.objectStore('transactions');
-            const allTxsRequest = txStore.getAll();
-            
-            allTxsRequest.onsuccess = () => {
-                const transactions = allTxsRequest.result;
-                transactions.forEach(t => {
-                    if (t.category === cat.name) {
-                        t.category = newName; //Cambiamos el nombre viejo por el nuevo
-                        txStore.put(t);
-                    }
+            //Las tablas referenciadas van primero para conocer sus nuevos IDs
+            const ordered = this.orderByRelations(storeNames);
+
+            const remapRecord = (storeName, record) => {
+                const copy = this.mapRelations(storeName, record, (target, id) => {
+                    const map = idMaps[target] || {};
+                    return id in map ? map[id] : id;
                 });
+                if (this.derivedKeys[storeName]) copy.id = this.derivedKeys[storeName](copy);
+                return copy;
             };
 
-            txCat.oncomplete = () => {
-                this.updateUI();
+            const restoreStore = (index) => {
+                if (index >= ordered.length) return;
+                const storeName = ordered[index];
+                const store = tx.objectStore(storeName);
+                const records = (data.stores[storeName] || []).map(r => this.decodeBlobs(storeName, remapRecord(storeName, r)));
+                idMaps[storeName] = {};
+
+                if (mode === 'replace') {
+                    store.clear();
+                    records.forEach(r => store.put(r));
+                    written += records.length;
+                    restoreStore(index + 1);
+                    return;
+                }
+
+                //Modo combinar: primero leemos lo existente para detectar repetidos
+                const existingReq = store.getAll();
+                existingReq.onsuccess = () => {
+                    const naturalKey = this.naturalKeys[storeName];
+                    const existing = existingReq.result;
+                    const added = [];
+                    let pending = records.length;
+
+                    //Referencias a la misma tabla (ej: categoria padre): se corrigen al final, cuando ya se conocen todos los IDs nuevos
+                    const finish = () => {
+                        const selfFields = Object.keys(this.relations[storeName] || {}).filter(f => this.relations[storeName][f] === storeName);
+                        added.forEach(record => {
+                            const fields = selfFields.filter(f => record[f] !== null && record[f] !== undefined);
+                            if (fields.length === 0) return;
+                            fields.forEach(f => { record[f] = idMaps[storeName][record[f]] ?? null; });
+                            store.put(record);
+                        });
+                        restoreStore(index + 1);
+                    };
+                    if (pending === 0) finish();
+
+                    const done = () => { if (--pending === 0) finish(); };
+
+                    records.forEach(record => {
+                        const oldId = record[store.keyPath];
+                        const same = naturalKey && existing.find(e => e[naturalKey] === record[naturalKey]);
+                        if (same) {
+                            idMaps[storeName][oldId] = same[store.keyPath];
+                            done();
+                            return;
+                        }
+                        if (store.autoIncrement) delete record[store.keyPath];
+                        const req = store.put(record);
+                        req.onsuccess = () => {
+                            idMaps[storeName][oldId] = req.result;
+                            added.push({ ...record, [store.keyPath]: req.result });
+                            written++;
+                            done();
+                        };
+                    });
+                };
+            };
+
+            restoreStore(0);
+            tx.oncomplete = () => {
+                //Los comandos anteriores apuntan a registros que ya no son los mismos
+                this.history = { undo: [], redo: [] };
+                resolve(written);
             };
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+}
+
+/**
+ * Adaptador de Sincronizacion REST
+ * Habla con un servidor propio (ver tools/mock-sync-server.js). Cualquier otro adaptador
+ * sirve si tiene los mismos dos metodos:
+ *   push(deviceId, changes) -> Promise          envia los cambios locales
+ *   pull(deviceId, since) -> Promise<{ changes, cursor }>
+ *                                               cambios de los otros dispositivos posteriores a "since", en orden
+ * Cada cambio es { uid, store, op: 'put' | 'delete', record, at, deviceId }.
+ */
+class RestSyncAdapter {
+    constructor(endpoint, token = '') {
+        this.endpoint = endpoint.replace(/\/+$/, '');
+        this.token = token;
+        //Sin respuesta en este tiempo (ms) la sincronizacion falla y se reintenta mas tarde
+        this.timeout = 15000;
+    }
+
+    async request(path, options = {}) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeout);
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.token) headers.Authorization = `Bearer ${this.token}`;
+        try {
+            const response = await fetch(`${this.endpoint}${path}`, { ...options, headers, signal: controller.signal });
+            if (!response.ok) throw new Error(`El servidor respondió ${response.status}`);
+            return await response.json();
+        } finally {
+            clearTimeout(timer);
         }
     }
 
-    //Eliminar categoria
-    async deleteCategory(id) {
-        if(!confirm('¿Olvidar Categoria? Se perderán todos los registros asociados.')) return;
-        //Obtenemos la categoria para saber su nombre
-        const categories = await this.db.getAll('categories');
-        const categoryToDelete = categories.find(c => c.id === id);
-        if (!categoryToDelete) return;
-        //Obtenemos todas las transacciones
-        const transactions = await this.db.getAll('transactions');
-        //Filtramos y borramos las transacciones que tengan ese nombre de categoria
-        const txsToDelete = transactions.filter(t => t.category === categoryToDelete.name);
-        //Usamos Promise.all para esperar a que todas se borren
-        const deletePromises = txsToDelete.map(t => this.db.delete('transactions', t.id));
-        await Promise.all(deletePromises);
-        //Finalmente borramos la categoria
-        await this.db.delete('categories', id);
-        this.updateUI();
+    push(deviceId, changes) {
+        return this.request('/changes', { method: 'POST', body: JSON.stringify({ deviceId, changes }) });
     }
 
-    //TRANSACCIONES
+    pull(deviceId, since) {
+        return this.request(`/changes?since=${encodeURIComponent(since)}&deviceId=${encodeURIComponent(deviceId)}`);
+    }
+}
 
-        //Renderizar transacciones
-    async renderTransactions() {
-        const allTxs = await this.db.getAll('transactions');
-        const search = (document.getElementById('search-tx')?.value || '').toLowerCase();
-        //Obtener valores de los filtros
-        const typeFilter = document.getElementById('filter-type')?.value || 'all';
-        const categoryFilter = document.getElementById('filter-category')?.value || 'all';
-        
-        const filtered = allTxs
-            .filter(t => {
-                //Coincidencia por texto (Descripcion o Categoria)
-                const matchesSearch = (t.desc||'').toLowerCase().includes(search) || t.category.toLowerCase().includes(search);
-                //Coincidencia por Tipo (Ingreso/Egreso)
-                const matchesType = typeFilter === 'all' || t.type === typeFilter;
-                //Coincidencia por Categoria
-                const matchesCategory = categoryFilter === 'all' || t.category === categoryFilter;
-                //TIENEN QUE CUMPLIRSE LAS 3 CONDICIONES
-                return matchesSearch && matchesType && matchesCategory;
-            })
-            .sort((a, b) => new Date(b.date) - new Date(a.date));
+/**
+ * Sincronizacion entre dispositivos
+ * Envia el registro de cambios de FinanceDB a traves de un adaptador y aplica los cambios de los demas.
+ * Cada registro viaja con un ID global (uid) porque las llaves automaticas de cada BD chocan entre si;
+ * las referencias entre tablas (segun relations) se traducen a uid al enviar y de vuelta al recibir.
+ * Los conflictos se resuelven por registro: gana la escritura mas reciente y la otra version queda en
+ * syncConflicts para revisarla.
+ */
+class SyncManager {
+    constructor(db, adapter = null) {
+        this.db = db;
+        this.adapter = adapter;
+        //{ deviceId, endpoint, token, cursor, lastSync, lastError }
+        this.state = {};
+        this.running = null;
+    }
 
-        const tbody = document.getElementById('tx-list');
-        if(!tbody) return;
-        //Limpieza segura
-        tbody.replaceChildren();
+    //Leer la configuracion guardada; la primera vez se crea el ID de este dispositivo
+    async load() {
+        (await this.db.getAll('syncState')).forEach(s => { this.state[s.key] = s.value; });
+        if (!this.state.deviceId) {
+            const id = typeof crypto !== 'undefined' && crypto.randomUUID
+                ? crypto.randomUUID()
+                : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+            await this.saveState({ deviceId: id });
+        }
+        this.db.syncEnabled = !!this.state.endpoint;
+        return this.state;
+    }
 
-        filtered.forEach(tx => {
-            const isIncome = tx.type === 'income';
-            const row = this.createEl('tr');
-            row.dataset.transactionId = tx.id;
-            if (this.editingTxId === tx.id) {
-                row.classList.add('editing-transaction');
-                console.log(`Transacción ${tx.id} marcada como en edición al renderizar`);
+    async saveState(values) {
+        Object.assign(this.state, values);
+        //Directo y no con db.put: si hay un comando abierto, la posicion de la sincronizacion no debe entrar a su historial
+        await this.run(['syncState'], 'readwrite', (tx) => {
+            const store = tx.objectStore('syncState');
+            Object.entries(values).forEach(([key, value]) => store.put({ key, value }));
+        });
+    }
+
+    //Ejecutar una lectura o escritura directa (sin historial ni registro de cambios) y esperar a que termine
+    run(storeNames, mode, fn) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.db.transaction(storeNames, mode);
+            const result = fn(tx);
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    //Tablas que se sincronizan
+    syncedStores() {
+        return Array.from(this.db.db.objectStoreNames).filter(name => this.db.isSynced(name));
+    }
+
+    //Activar: todo lo que ya existe queda pendiente de enviar (asi se combinan dos bases que ya tenian datos)
+    async enable(endpoint, token = '') {
+        const firstTime = !this.state.endpoint;
+        await this.saveState({ endpoint, token, lastError: null });
+        this.db.syncEnabled = true;
+        if (!firstTime) return;
+        await this.saveState({ cursor: 0 });
+        const stores = this.syncedStores();
+        await this.run([...stores, 'changes'], 'readwrite', (tx) => {
+            const log = tx.objectStore('changes');
+            const at = Date.now();
+            stores.forEach(name => {
+                const request = tx.objectStore(name).getAllKeys();
+                request.onsuccess = () => request.result
+                    .filter(key => this.db.isSynced(name, key))
+                    .forEach(key => log.add({ store: name, key, op: 'put', at }));
+            });
+        });
+    }
+
+    //Desactivar: se descartan los cambios pendientes; los uid se conservan por si se vuelve a activar
+    async disable() {
+        await this.saveState({ endpoint: '', token: '', cursor: 0, lastError: null });
+        this.db.syncEnabled = false;
+        await this.run(['changes'], 'readwrite', (tx) => tx.objectStore('changes').clear());
+    }
+
+    async pendingCount() {
+        return (await this.db.getAll('changes')).length;
+    }
+
+    //Traer y luego enviar (asi un cambio local que perdio un conflicto ya no se envia)
+    //Devuelve { pulled, pushed, conflicts }; si ya hay una sincronizacion en curso se espera a esa
+    sync() {
+        if (!this.adapter || !this.state.endpoint) return Promise.resolve(null);
+        if (this.running) return this.running;
+        this.running = (async () => {
+            try {
+                const pulled = await this.pull();
+                const pushed = await this.push();
+                await this.saveState({ lastSync: new Date().toISOString(), lastError: null });
+                return { ...pulled, pushed };
+            } catch (error) {
+                await this.saveState({ lastError: error.message || String(error) });
+                throw error;
+            } finally {
+                this.running = null;
             }
-            
-            //Fecha
-            row.appendChild(this.createEl('td', '', tx.date));
-            //Tipo
-            const tdType = this.createEl('td');
-            const spanType = this.createEl('span', isIncome ? 'tag tag-income' : 'tag tag-expense', isIncome ? 'Ingreso' : 'Egreso');
-            tdType.appendChild(spanType);
-            row.appendChild(tdType);
-            //Categoria y Descripcion
-            row.appendChild(this.createEl('td', '', tx.category));
-            row.appendChild(this.createEl('td', '', tx.desc || '-'));
-            //Monto
-            const tdAmount = this.createEl('td', isIncome ? 'text-success font-bold' : 'text-danger font-bold');
-            tdAmount.textContent = `${isIncome ? '+' : '-'}${tx.amount.toFixed(2)}`;
-            row.appendChild(tdAmount);
-            //Acciones (Editar/Borrar)
-            const tdActions = this.createEl('td');
-            tdActions.style.display = 'flex';
-            tdActions.style.gap = '5px';
-            //Botones de accion
-            const btnEdit = this.createEl('button', 'btn btn-primary');
-            btnEdit.onclick = () => this.editTransaction(tx.id);
-            btnEdit.appendChild(this.createEl('i', 'fas fa-edit'));
-            //Boton borrar
-            const btnDel = this.createEl('button', 'btn btn-danger');
-            btnDel.onclick = () => this.deleteTransaction(tx.id);
-            btnDel.appendChild(this.createEl('i', 'fas fa-trash'));
-            //Agregar botones a la celda
-            tdActions.appendChild(btnEdit);
-            tdActions.appendChild(btnDel);
-            row.appendChild(tdActions);
-            tbody.appendChild(row);
+        })();
+        return this.running;
+    }
+
+    //Indices en memoria de syncIds: uid -> { store, key } y "tabla|llave" -> { uid, at }
+    async loadIds() {
+        const uidToKey = new Map();
+        const keyToUid = new Map();
+        (await this.db.getAll('syncIds')).forEach(m => {
+            uidToKey.set(m.uid, m);
+            const k = `${m.store}|${m.key}`;
+            const known = keyToUid.get(k);
+            if (!known || m.at > known.at) keyToUid.set(k, m);
         });
+        return { uidToKey, keyToUid };
     }
 
-    //Agregar o actualizar transaccion
-    //Agregar o actualizar transaccion
-    async addTransaction(e) {
-        e.preventDefault();
-        const type = document.getElementById('tx-type').value;
-        const amount = parseFloat(document.getElementById('tx-amount').value);
-        const date = document.getElementById('tx-date').value;
-        const category = document.getElementById('tx-category').value;
-        const desc = document.getElementById('tx-desc').value;
+    //ENVIAR
 
-        if (this.editingTxId) {
-            // MODO EDICIÓN
-            const tx = this.db.db.transaction('transactions', 'readwrite');
-            const store = tx.objectStore('transactions');
-            store.put({ 
-                id: this.editingTxId, //Importante: Mantener el ID
-                type, amount, date, category, desc 
+    async push() {
+        const log = await this.db.getAll('changes');
+        if (log.length === 0) return 0;
+        const deviceId = this.state.deviceId;
+        const { keyToUid } = await this.loadIds();
+        const info = await this.readStoreInfo();
+
+        //Un solo cambio por registro: el ultimo
+        const latest = new Map();
+        log.forEach(c => latest.set(`${c.store}|${c.key}`, c));
+        const order = this.db.orderByRelations(this.syncedStores());
+        const pending = [...latest.values()]
+            .filter(c => info[c.store])
+            .sort((a, b) => order.indexOf(a.store) - order.indexOf(b.store) || a.id - b.id);
+
+        const records = await this.run(this.syncedStores(), 'readonly', (tx) => {
+            const found = {};
+            pending.filter(c => c.op === 'put').forEach(c => {
+                const request = tx.objectStore(c.store).get(c.key);
+                request.onsuccess = () => { found[`${c.store}|${c.key}`] = request.result; };
             });
-            tx.oncomplete = () => {
-                alert('Registro actualizado');
-                // Resetear estado de edición
-                this.editingTxId = null;
-                
-                // Restaurar texto del botón
-                const submitBtn = document.querySelector('#tx-form button[type="submit"]');
-                if (submitBtn) submitBtn.textContent = "Grabar";
-                
-                // Ocultar botón cancelar
-                const cancelBtn = document.getElementById('tx-cancel-btn');
-                if (cancelBtn) cancelBtn.style.display = 'none';
-                
-                // Remover clase de edición del formulario
-                const form = document.getElementById('tx-form');
-                if (form) form.classList.remove('editing-mode');
-                
-                // Remover resaltado
-                this.removeTransactionHighlight();
-                
-                // Resetear formulario
-                e.target.reset();
-                document.getElementById('tx-date').valueAsDate = new Date();
-                
-                // Actualizar UI
-                this.updateUI();
-            };
-        } else {
-            // MODO CREACIÓN
-            await this.db.add('transactions', { type, amount, date, category, desc });
-            e.target.reset();
-            document.getElementById('tx-date').valueAsDate = new Date();
-            this.updateUI();
-            alert('Registro guardado en el diario');
+            return found;
+        });
+
+        //Las referencias a registros sin uid (aun no enviados) reciben uno nuevo
+        const newIds = new Map();
+        const uidOf = (store, key) => {
+            const k = `${store}|${key}`;
+            const known = keyToUid.get(k) || newIds.get(k);
+            if (known) return known.uid;
+            const mapping = { uid: `${deviceId}:${store}:${key}`, store, key, at: 0 };
+            newIds.set(k, mapping);
+            return mapping.uid;
+        };
+
+        const changes = [];
+        pending.forEach(c => {
+            const k = `${c.store}|${c.key}`;
+            const record = records[k];
+            if (c.op === 'delete' || !record) {
+                //Un registro que nunca se envio y ya no existe no le importa a nadie
+                const known = keyToUid.get(k);
+                if (known) changes.push({ uid: known.uid, store: c.store, op: 'delete', record: null, at: c.at, deviceId });
+                return;
+            }
+            const remote = this.db.mapRelations(c.store, record, (target, id) => id === null || id === undefined ? id : uidOf(target, id));
+            const { keyPath, autoIncrement } = info[c.store];
+            let uid;
+            if (autoIncrement) {
+                uid = uidOf(c.store, c.key);
+                delete remote[keyPath];
+            } else {
+                //Llave natural (ajustes, tasas) o armada con referencias (presupuestos): igual en todos los dispositivos
+                const remoteKey = this.db.derivedKeys[c.store] ? this.db.derivedKeys[c.store](remote) : remote[keyPath];
+                remote[keyPath] = remoteKey;
+                uid = (keyToUid.get(k) || {}).uid || `${c.store}:${remoteKey}`;
+                if (!keyToUid.has(k)) newIds.set(k, { uid, store: c.store, key: c.key, at: 0 });
+            }
+            changes.push({ uid, store: c.store, op: 'put', record: remote, at: c.at, deviceId });
+        });
+
+        if (changes.length > 0) {
+            //Los Blob (comprobantes) viajan como data URL, igual que en el respaldo
+            const byStore = {};
+            changes.filter(c => c.record).forEach(c => { (byStore[c.store] = byStore[c.store] || []).push(c.record); });
+            await this.db.encodeBlobs(byStore);
+            await this.adapter.push(deviceId, changes);
         }
+
+        //Confirmado el envio: se borran del registro los cambios enviados y se guardan los uid con su fecha
+        await this.run(['changes', 'syncIds'], 'readwrite', (tx) => {
+            const logStore = tx.objectStore('changes');
+            log.forEach(c => logStore.delete(c.id));
+            const idsStore = tx.objectStore('syncIds');
+            const byUid = new Map([...keyToUid.values(), ...newIds.values()].map(m => [m.uid, m]));
+            newIds.forEach(m => idsStore.put(m));
+            changes.forEach(c => {
+                const mapping = byUid.get(c.uid);
+                if (mapping) idsStore.put({ ...mapping, at: c.at });
+            });
+        });
+        return changes.length;
     }
 
-    //Editar transaccion
-    //Editar transaccion
-    async editTransaction(id) {
-        // Remover resaltado de cualquier transacción anterior
-        this.removeTransactionHighlight();
-        
-        const txs = await this.db.getAll('transactions');
-        const tx = txs.find(t => t.id === id);
-        if (!tx) return;
-        
-        // Rellenar formulario con datos existentes
-        document.getElementById('tx-type').value = tx.type;
-        document.getElementById('tx-amount').value = tx.amount;
-        document.getElementById('tx-date').value = tx.date;
-        document.getElementById('tx-category').value = tx.category;
-        document.getElementById('tx-desc').value = tx.desc;
-        
-        // Cambiar estado a modo edicion
-        this.editingTxId = id;
-        
-        // Cambiar texto del botón
-        const submitBtn = document.querySelector('#tx-form button[type="submit"]');
-        submitBtn.textContent = "Actualizar";
-        
-        // Mostrar botón cancelar
-        const cancelBtn = document.getElementById('tx-cancel-btn');
-        if (cancelBtn) cancelBtn.style.display = 'inline-block';
-        
-        // Agregar clase de edición al formulario
-        const form = document.getElementById('tx-form');
-        if (form) form.classList.add('editing-mode');
+    //keyPath y si la llave es automatica, por tabla
+    readStoreInfo() {
+        return this.run(this.syncedStores(), 'readonly', (tx) => {
+            const info = {};
+            this.syncedStores().forEach(name => {
+                const store = tx.objectStore(name);
+                info[name] = { keyPath: store.keyPath, autoIncrement: store.autoIncrement };
+            });
+            return info;
+        });
+    }
+
+    //RECIBIR
+
+    async pull() {
+        const { changes, cursor } = await this.adapter.pull(this.state.deviceId, this.state.cursor || 0);
+        const result = changes.length > 0 ? await this.apply(changes) : { pulled: 0, conflicts: 0 };
+        await this.saveState({ cursor });
+        return result;
+    }
+
+    //Ultima escritura gana: la fecha mas reciente y, si empatan, el ID de dispositivo mayor
+    wins(a, b) {
+        return a.at > b.at || (a.at === b.at && a.deviceId > b.deviceId);
+    }
+
+    //Dos versiones iguales (sin contar la llave local) no son un conflicto
+    sameRecord(storeName, a, b, keyPath) {
+        if (!a || !b) return !a && !b;
+        const blobs = this.db.blobFields[storeName] || [];
+        const normalize = (r) => JSON.stringify(Object.keys(r).filter(k => k !== keyPath).sort()
+            .map(k => [k, blobs.includes(k) && r[k] instanceof Blob ? r[k].size : r[k]]));
+        return normalize(a) === normalize(b);
+    }
+
+    //Aplicar en orden los cambios recibidos, en una sola transaccion sin historial ni registro de cambios
+    async apply(remoteChanges) {
+        const deviceId = this.state.deviceId;
+        const { uidToKey, keyToUid } = await this.loadIds();
+        const info = await this.readStoreInfo();
+        const stores = this.syncedStores();
+
+        //Cambios locales sin enviar: "tabla|llave" -> fecha del ultimo
+        const pending = new Map();
+        (await this.db.getAll('changes')).forEach(c => pending.set(`${c.store}|${c.key}`, c.at));
+
+        //Registros repetidos por llave natural (ej: la categoria "Transporte" creada en los dos dispositivos)
+        const natural = {};
+        for (const [storeName, field] of Object.entries(this.db.naturalKeys)) {
+            natural[storeName] = new Map((await this.db.getAll(storeName)).map(r => [r[field], r[info[storeName].keyPath]]));
+        }
+
+        let pulled = 0;
+        let conflicts = 0;
+        await this.run([...stores, 'changes', 'syncIds', 'syncConflicts'], 'readwrite', (tx) => {
+            const idsStore = tx.objectStore('syncIds');
+            const toLocal = (target, uid) => {
+                if (uid === null || uid === undefined) return uid;
+                const mapping = uidToKey.get(uid);
+                return mapping ? mapping.key : null;
+            };
+            const remember = (uid, store, key, at) => {
+                const mapping = { uid, store, key, at };
+                uidToKey.set(uid, mapping);
+                keyToUid.set(`${store}|${key}`, mapping);
+                idsStore.put(mapping);
+            };
+
+            //Uno detras de otro: un registro nuevo puede ser referenciado por los siguientes
+            const next = (index) => {
+                if (index >= remoteChanges.length) return;
+                const change = remoteChanges[index];
+                const meta = info[change.store];
+                if (!meta) return next(index + 1);
+                const store = tx.objectStore(change.store);
+                const { keyPath, autoIncrement } = meta;
+
+                let record = null;
+                if (change.op === 'put') {
+                    record = this.db.decodeBlobs(change.store, this.db.mapRelations(change.store, change.record, toLocal));
+                    if (!autoIncrement) record[keyPath] = this.db.derivedKeys[change.store] ? this.db.derivedKeys[change.store](record) : record[keyPath];
+                }
+
+                //Llave local del registro: por uid, por llave natural o (si es nuevo) ninguna
+                let mapping = uidToKey.get(change.uid);
+                let localKey = mapping ? mapping.key : undefined;
+                if (localKey === undefined && record) {
+                    const field = this.db.naturalKeys[change.store];
+                    if (field && natural[change.store].has(record[field])) localKey = natural[change.store].get(record[field]);
+                    else if (!autoIncrement) localKey = record[keyPath];
+                }
+
+                const write = (done) => {
+                    pulled++;
+                    if (change.op === 'delete') {
+                        if (localKey !== undefined) this.db.deleteWithDependents(tx, change.store, localKey);
+                        return done();
+                    }
+                    if (localKey === undefined) {
+                        delete record[keyPath];
+                        const request = store.add(record);
+                        request.onsuccess = () => {
+                            remember(change.uid, change.store, request.result, change.at);
+                            if (natural[change.store]) natural[change.store].set(record[this.db.naturalKeys[change.store]], request.result);
+                            done();
+                        };
+                        return;
+                    }
+                    if (autoIncrement) record[keyPath] = localKey;
+                    //Con llave armada (presupuestos), si cambio la referencia cambia la llave
+                    else if (record[keyPath] !== localKey) store.delete(localKey);
+                    store.put(record);
+                    remember(change.uid, change.store, record[keyPath], change.at);
+                    done();
+                };
+
+                //Registro desconocido: se agrega (o se ignora si es un borrado)
+                if (localKey === undefined) {
+                    if (change.op === 'delete') return next(index + 1);
+                    return write(() => next(index + 1));
+                }
+
+                const k = `${change.store}|${localKey}`;
+                const localAt = pending.has(k) ? pending.get(k) : ((keyToUid.get(k) || {}).at || 0);
+                const local = { at: localAt, deviceId };
+                const request = store.get(localKey);
+                request.onsuccess = () => {
+                    const current = request.result || null;
+                    const remoteWins = this.wins(change, local);
+                    //Sin cambios locales nuevos y con una version remota mas reciente es una actualizacion normal
+                    const concurrent = pending.has(k) || !remoteWins;
+                    if (concurrent && !this.sameRecord(change.store, current, record, keyPath)) {
+                        conflicts++;
+                        tx.objectStore('syncConflicts').add({
+                            store: change.store,
+                            key: localKey,
+                            uid: change.uid,
+                            winner: remoteWins ? 'remote' : 'local',
+                            local: current,
+                            remote: record,
+                            localAt,
+                            remoteAt: change.at,
+                            remoteDevice: change.deviceId,
+                            detectedAt: new Date().toISOString()
+                        });
+                    }
+                    if (!remoteWins) {
+                        //La version local se queda; el uid remoto apunta a ella
+                        if (!mapping) remember(change.uid, change.store, localKey, localAt);
+                        return next(index + 1);
+                    }
+                    //Perdio la version local: sus cambios pendientes ya no se envian
+                    if (pending.has(k)) {
+                        const logStore = tx.objectStore('changes');
+                        const keysReq = logStore.index('record').getAllKeys([change.store, localKey]);
+                        keysReq.onsuccess = () => keysReq.result.forEach(id => logStore.delete(id));
+                        pending.delete(k);
+                    }
+                    write(() => next(index + 1));
+                };
+            };
+            next(0);
+        });
+
+        //Los comandos del historial pueden apuntar a registros que ya cambiaron
+        if (pulled > 0) this.db.history = { undo: [], redo: [] };
+        return { pulled, conflicts };
+    }
+}
+
+/**
+ * Modulo de Importacion de Extractos Bancarios
+ * Convierte archivos CSV, OFX y QIF en filas { date, desc, amount, type }.
+ */
+class StatementParser {
+    //Detecta el formato por la extension del archivo
+    static detectFormat(fileName) {
+        const ext = fileName.split('.').pop().toLowerCase();
+        if (ext === 'csv' || ext === 'txt') return 'csv';
+        if (ext === 'ofx' || ext === 'qfx') return 'ofx';
+        if (ext === 'qif') return 'qif';
+        return null;
+    }
+
+    //Separa el CSV en filas y columnas respetando comillas
+    static parseCSV(text) {
+        const firstLine = text.split(/\r?\n/)[0] || '';
+        //Elegimos el separador que mas aparece en la primera linea
+        const delimiter = [',', ';', '\t']
+            .map(d => ({ d, count: firstLine.split(d).length }))
+            .sort((a, b) => b.count - a.count)[0].d;
+
+        const rows = [];
+        let row = [], field = '', inQuotes = false;
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+            if (inQuotes) {
+                if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+                else if (ch === '"') inQuotes = false;
+                else field += ch;
+            } else if (ch === '"') {
+                inQuotes = true;
+            } else if (ch === delimiter) {
+                row.push(field.trim()); field = '';
+            } else if (ch === '\n' || ch === '\r') {
+                if (ch === '\r' && text[i + 1] === '\n') i++;
+                row.push(field.trim()); field = '';
+                if (row.some(c => c !== '')) rows.push(row);
+                row = [];
+            } else {
+                field += ch;
+            }
+        }
+        row.push(field.trim());
+        if (row.some(c => c !== '')) rows.push(row);
+        return rows;
+    }
+
+    //Aplica el mapeo de columnas elegido por el usuario a las filas del CSV
+    static mapCSV(rows, mapping) {
+        const dataRows = mapping.hasHeader ? rows.slice(1) : rows;
+        return dataRows
+            .map(r => StatementParser.buildRow(
+                StatementParser.parseDate(r[mapping.date], mapping.dateFormat),
+                r[mapping.desc] || '',
+                StatementParser.parseAmount(r[mapping.amount])
+            ))
+            .filter(Boolean);
+    }
+
+    //Lee los bloques <STMTTRN> de un archivo OFX/QFX (SGML o XML)
+    static parseOFX(text) {
+        const getTag = (block, tag) => {
+            const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+            return match ? match[1].trim() : '';
+        };
+        const blocks = text.match(/<STMTTRN>[\s\S]*?(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>)/gi) || [];
+        return blocks
+            .map(block => {
+                const rawDate = getTag(block, 'DTPOSTED');
+                const date = rawDate.length >= 8 ? `${rawDate.slice(0, 4)}-${rawDate.slice(4, 6)}-${rawDate.slice(6, 8)}` : null;
+                const desc = [getTag(block, 'NAME'), getTag(block, 'MEMO')].filter(Boolean).join(' - ');
+                return StatementParser.buildRow(date, desc, StatementParser.parseAmount(getTag(block, 'TRNAMT')));
+            })
+            .filter(Boolean);
+    }
+
+    //Lee las entradas de un archivo QIF (cada entrada termina en "^")
+    static parseQIF(text, dateFormat) {
+        const rows = [];
+        let entry = {};
+        text.split(/\r?\n/).forEach(line => {
+            const code = line.charAt(0);
+            const value = line.slice(1).trim();
+            if (code === 'D') entry.date = value;
+            else if (code === 'T' || code === 'U') entry.amount = value;
+            else if (code === 'P') entry.payee = value;
+            else if (code === 'M') entry.memo = value;
+            else if (code === 'L') entry.category = value.split(':')[0];
+            else if (code === '^') {
+                const row = StatementParser.buildRow(
+                    StatementParser.parseDate((entry.date || '').replace("'", '/'), dateFormat),
+                    [entry.payee, entry.memo].filter(Boolean).join(' - '),
+                    StatementParser.parseAmount(entry.amount)
+                );
+                if (row) {
+                    row.sourceCategory = entry.category || '';
+                    rows.push(row);
+                }
+                entry = {};
+            }
+        });
+        return rows;
+    }
+
+    //Normaliza montos tipo "1.234,56", "1,234.56", "-12.50" o "$ 30"
+    static parseAmount(raw) {
+        if (raw === undefined || raw === null) return NaN;
+        let str = String(raw).replace(/[^\d,.\-()]/g, '');
+        const negative = str.includes('-') || /^\(.*\)$/.test(str);
+        str = str.replace(/[-()]/g, '');
+        const lastComma = str.lastIndexOf(',');
+        const lastDot = str.lastIndexOf('.');
+        //La coma es decimal si es una sola y va despues de los puntos ("1.234,56") o, sin puntos,
+        //si la siguen 1 o 2 digitos ("12,5"); si no, separa miles ("1,234" o "1,234,567")
+        const commas = str.split(',').length - 1;
+        const decimalComma = commas === 1 && lastComma > lastDot && (lastDot !== -1 || /^,\d{1,2}$/.test(str.slice(lastComma)));
+        if (decimalComma) {
+            str = str.replace(/\./g, '').replace(',', '.');
+        } else {
+            str = str.replace(/,/g, '');
+        }
+        const value = parseFloat(str);
+        return negative ? -value : value;
+    }
+
+    //Convierte una fecha al formato AAAA-MM-DD segun el formato indicado
+    static parseDate(raw, format = 'dmy') {
+        if (!raw) return null;
+        const str = String(raw).trim();
+        const iso = str.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+        let y, m, d;
+        if (iso) {
+            [, y, m, d] = iso;
+        } else {
+            const parts = str.split(/[\/\-.\s]+/);
+            if (parts.length < 3) return null;
+            if (format === 'mdy') [m, d, y] = parts;
+            else if (format === 'ymd') [y, m, d] = parts;
+            else [d, m, y] = parts;
+        }
+        y = String(y).length === 2 ? `20${y}` : String(y);
+        const date = `${y}-${String(m).padStart(2, '0')}-${String(d).padStart(2, '0')}`;
+        return /^\d{4}-\d{2}-\d{2}$/.test(date) && !isNaN(new Date(date)) ? date : null;
+    }
+
+    //Arma la fila final: el signo del monto define si es ingreso o egreso
+    static buildRow(date, desc, amount) {
+        if (!date || isNaN(amount) || amount === 0) return null;
+        return {
+            date,
+            desc: desc.trim(),
+            amount: Math.abs(amount),
+            type: amount < 0 ? 'expense' : 'income'
+        };
+    }
+}
+
+/**
+ * Sintaxis de Busqueda del Diario
+ * Convierte un texto como `cat:Ocio amount>50 before:2025-06` en filtros.
+ * Lo que no es un filtro se busca como texto en la descripcion y la categoria.
+ */
+class SearchQuery {
+    //Nombres aceptados para cada filtro (en ingles y en español)
+    static keys = {
+        cat: 'category', categoria: 'category',
+        amount: 'amount', monto: 'amount',
+        date: 'date', fecha: 'date',
+        before: 'before', antes: 'before',
+        after: 'after', despues: 'after',
+        type: 'type', tipo: 'type',
+        account: 'account', cuenta: 'account',
+        tag: 'tag', etiqueta: 'tag',
+        desc: 'desc'
+    };
+
+    static types = { income: 'income', ingreso: 'income', expense: 'expense', egreso: 'expense', gasto: 'expense', transfer: 'transfer', transferencia: 'transfer' };
+
+    //Separa el texto respetando comillas (ej: cat:"Comida rapida")
+    static tokenize(text) {
+        return (text.match(/[^\s"]*"[^"]*"|\S+/g) || []).map(t => t.replace(/"/g, ''));
+    }
+
+    //Primer y ultimo dia de "2025", "2025-06" o "2025-06-15"
+    static startOf(value) {
+        if (/^\d{4}$/.test(value)) return `${value}-01-01`;
+        if (/^\d{4}-\d{2}$/.test(value)) return `${value}-01`;
+        if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+        return null;
+    }
+
+    static endOf(value) {
+        if (/^\d{4}$/.test(value)) return `${value}-12-31`;
+        if (/^\d{4}-\d{2}$/.test(value)) {
+            const [y, m] = value.split('-').map(Number);
+            return `${value}-${String(new Date(Date.UTC(y, m, 0)).getUTCDate()).padStart(2, '0')}`;
+        }
+        if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+        return null;
+    }
+
+    //Devuelve { terms, regexes, categories, accounts, tags, types, amount, date, errors }
+    //amount y date son rangos { lower, upper, lowerOpen, upperOpen } (null = sin limite)
+    static parse(text) {
+        const query = {
+            terms: [], regexes: [], categories: [], accounts: [], tags: [], types: [],
+            amount: { lower: null, upper: null, lowerOpen: false, upperOpen: false },
+            date: { lower: null, upper: null, lowerOpen: false, upperOpen: false },
+            errors: []
+        };
+        //Aplicar un limite quedandose con el mas estricto
+        const setLower = (range, value, open) => {
+            if (range.lower === null || value > range.lower || (value === range.lower && open)) {
+                range.lower = value;
+                range.lowerOpen = open;
+            }
+        };
+        const setUpper = (range, value, open) => {
+            if (range.upper === null || value < range.upper || (value === range.upper && open)) {
+                range.upper = value;
+                range.upperOpen = open;
+            }
+        };
+        const toRegex = (source) => {
+            const match = source.match(/^\/(.+)\/([a-z]*)$/);
+            try {
+                //Sin la bandera g, que haria que test() recuerde la posicion entre registros
+                return match ? new RegExp(match[1], match[2].replace('g', '')) : new RegExp(source, 'i');
+            } catch (error) {
+                query.errors.push(`Expresión regular inválida: ${source}`);
+                return null;
+            }
+        };
+
+        this.tokenize(text).forEach(token => {
+            const match = token.match(/^(\w+)(>=|<=|>|<|:)(.+)$/);
+            const key = match && this.keys[match[1].toLowerCase()];
+            if (!key) {
+                //Texto libre, o /regex/ sobre la descripcion
+                if (/^\/.+\/[a-z]*$/.test(token)) {
+                    const regex = toRegex(token);
+                    if (regex) query.regexes.push(regex);
+                } else {
+                    query.terms.push(token.toLowerCase());
+                }
+                return;
+            }
+            const [, , op, value] = match;
+
+            if (key === 'category' || key === 'account') {
+                query[key === 'category' ? 'categories' : 'accounts'].push(...value.split(',').filter(Boolean));
+            } else if (key === 'tag') {
+                query.tags.push(...value.split(',').map(t => t.trim().toLowerCase()).filter(Boolean));
+            } else if (key === 'type') {
+                value.split(',').forEach(v => {
+                    const type = this.types[v.toLowerCase()];
+                    if (type) query.types.push(type);
+                    else query.errors.push(`Tipo desconocido: ${v}`);
+                });
+            } else if (key === 'desc') {
+                const regex = toRegex(value);
+                if (regex) query.regexes.push(regex);
+            } else if (key === 'amount') {
+                const [from, to] = value.split('..');
+                const min = parseFloat(from), max = parseFloat(to ?? from);
+                if (isNaN(min) || isNaN(max)) {
+                    query.errors.push(`Monto inválido: ${token}`);
+                } else if (op === '>' || op === '>=') {
+                    setLower(query.amount, min, op === '>');
+                } else if (op === '<' || op === '<=') {
+                    setUpper(query.amount, min, op === '<');
+                } else {
+                    setLower(query.amount, min, false);
+                    setUpper(query.amount, max, false);
+                }
+            } else {
+                //Fechas: before/after excluyen todo el periodo indicado (before:2025-06 = antes de junio)
+                const [from, to] = value.split('..');
+                const start = this.startOf(from), end = this.endOf(to ?? from);
+                if (!start || !end) {
+                    query.errors.push(`Fecha inválida: ${token} (usa AAAA, AAAA-MM o AAAA-MM-DD)`);
+                } else if (key === 'before' || op === '<') {
+                    setUpper(query.date, start, true);
+                } else if (key === 'after' || op === '>') {
+                    setLower(query.date, end, true);
+                } else if (op === '>=') {
+                    setLower(query.date, start, false);
+                } else if (op === '<=') {
+                    setUpper(query.date, end, false);
+                } else {
+                    setLower(query.date, start, false);
+                    setUpper(query.date, end, false);
+                }
+            }
+        });
+        return query;
+    }
+
+    //Revisar si un valor cae dentro de un rango del parse
+    static inRange(value, range) {
+        if (range.lower !== null && (range.lowerOpen ? value <= range.lower : value < range.lower)) return false;
+        if (range.upper !== null && (range.upperOpen ? value >= range.upper : value > range.upper)) return false;
+        return true;
+    }
+}
+
+/**
+ * Motor de Reglas de Categorizacion
+ * Elige la categoria de un movimiento con las reglas del usuario o, si ninguna aplica,
+ * con la categoria que se uso antes para descripciones parecidas.
+ */
+class CategoryRules {
+    //Regla: { match: 'contains' | 'regex', pattern, type: 'any' | 'expense' | 'income', minAmount, maxAmount, categoryId }
+    //row: { desc, amount, type } (amount puede faltar mientras se escribe el formulario)
+    static matches(rule, row) {
+        if (rule.type !== 'any' && rule.type !== row.type) return false;
+        const hasRange = rule.minAmount !== null || rule.maxAmount !== null;
+        if (hasRange) {
+            if (typeof row.amount !== 'number' || isNaN(row.amount)) return false;
+            if (rule.minAmount !== null && row.amount < rule.minAmount) return false;
+            if (rule.maxAmount !== null && row.amount > rule.maxAmount) return false;
+        }
+        if (!rule.pattern) return true;
+        const desc = row.desc || '';
+        if (rule.match === 'regex') {
+            try {
+                return new RegExp(rule.pattern, 'i').test(desc);
+            } catch (error) {
+                return false;
+            }
+        }
+        return desc.toLowerCase().includes(rule.pattern.toLowerCase());
+    }
+
+    //Primera regla que coincide (las reglas llegan ordenadas por prioridad)
+    static find(rules, row) {
+        return rules.find(rule => this.matches(rule, row)) || null;
+    }
+
+    //Palabras de una descripcion sin acentos, numeros ni signos ("UBER *TRIP 4821" -> ["uber", "trip"])
+    static words(desc) {
+        return (desc || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^a-z\s]/g, ' ').split(/\s+/).filter(w => w.length > 1);
+    }
+
+    //Historial aprendido: "tipo|palabras" -> { categoryId: veces que se uso }
+    //Los registros divididos no cuentan porque no tienen una sola categoria
+    static learn(transactions) {
+        const history = new Map();
+        transactions.filter(t => t.type !== 'transfer' && !t.splits && t.categoryId && t.desc).forEach(t => {
+            const words = this.words(t.desc);
+            if (words.length === 0) return;
+            const key = `${t.type}|${words.join(' ')}`;
+            if (!history.has(key)) history.set(key, {});
+            const counts = history.get(key);
+            counts[t.categoryId] = (counts[t.categoryId] || 0) + 1;
+        });
+        return history;
+    }
+
+    //Categoria mas votada entre las descripciones del mismo tipo con al menos la mitad de las palabras en comun
+    static suggest(history, desc, type) {
+        const words = this.words(desc);
+        if (words.length === 0) return null;
+        const votes = {};
+        history.forEach((counts, key) => {
+            const [keyType, text] = key.split('|');
+            if (keyType !== type) return;
+            const keyWords = text.split(' ');
+            const shared = words.filter(w => keyWords.includes(w)).length;
+            const score = shared / Math.max(words.length, keyWords.length);
+            if (score < 0.5) return;
+            Object.entries(counts).forEach(([id, n]) => { votes[id] = (votes[id] || 0) + n * score; });
+        });
+        const best = Object.entries(votes).sort((a, b) => b[1] - a[1])[0];
+        return best ? parseInt(best[0]) : null;
+    }
+}
+
+/**
+ * Calculos de Deudas y Prestamos
+ * Cuota fija (sistema frances), tabla de amortizacion, saldo segun los pagos
+ * registrados y simulacion de estrategias bola de nieve / avalancha.
+ */
+class DebtPlanner {
+    //Limite de meses para simular (una cuota que no cubre el interes nunca liquida la deuda)
+    static maxMonths = 600;
+
+    //Tasa mensual a partir de la tasa anual en %
+    static monthlyRate(annualRate) {
+        return (annualRate || 0) / 100 / 12;
+    }
+
+    //Cuota fija mensual: P * r / (1 - (1 + r)^-n)
+    static payment(principal, annualRate, term) {
+        const r = this.monthlyRate(annualRate);
+        if (term <= 0) return principal;
+        if (r === 0) return principal / term;
+        return principal * r / (1 - Math.pow(1 + r, -term));
+    }
+
+    //Fecha de la cuota numero n (1 = el mes siguiente al inicio), con el dia ajustado al largo del mes
+    static dueDate(startDate, paymentDay, n) {
+        const [y, m] = startDate.split('-').map(Number);
+        const date = new Date(y, m - 1 + n, 1);
+        const lastDay = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+        date.setDate(Math.min(paymentDay, lastDay));
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    }
+
+    //Tabla de amortizacion desde un saldo con una cuota fija
+    //Cada fila: { n, date, payment, interest, principal, balance }
+    static schedule(balance, annualRate, payment, startDate, paymentDay, firstNumber = 1) {
+        const r = this.monthlyRate(annualRate);
+        const rows = [];
+        let n = firstNumber;
+        while (balance > 0.005 && rows.length < this.maxMonths) {
+            const interest = balance * r;
+            if (payment <= interest) break;
+            const amount = Math.min(payment, balance + interest);
+            balance = balance + interest - amount;
+            rows.push({ n, date: this.dueDate(startDate, paymentDay, n), payment: amount, interest, principal: amount - interest, balance: Math.max(0, balance) });
+            n++;
+        }
+        return rows;
+    }
+
+    //Saldo actual aplicando los pagos registrados en orden
+    //El interes se cobra una vez por cuota (por mes, segun dueDate), aunque ese mes tenga varios pagos o ninguno;
+    //cada pago cubre primero el interes pendiente. Con currentMonth (AAAA-MM) tambien se cobran los meses
+    //anteriores que quedaron sin pago. next es la primera cuota cuyo interes aun no se cobro
+    //payments: [{ date, amount }] ya en la moneda de la deuda
+    static replay(principal, annualRate, payments, startDate, paymentDay, currentMonth = null) {
+        const r = this.monthlyRate(annualRate);
+        let balance = principal;
+        let interestPaid = 0;
+        let unpaidInterest = 0;
+        let next = 1;
+        const accrue = (isDue) => {
+            while (balance > 0.005 && next <= this.maxMonths && isDue(this.dueDate(startDate, paymentDay, next).slice(0, 7))) {
+                const interest = balance * r;
+                balance += interest;
+                unpaidInterest += interest;
+                next++;
+            }
+        };
+        [...payments].sort((a, b) => a.date.localeCompare(b.date)).forEach(p => {
+            const month = p.date.slice(0, 7);
+            accrue(dueMonth => dueMonth <= month);
+            const toInterest = Math.min(p.amount, unpaidInterest);
+            interestPaid += toInterest;
+            unpaidInterest -= toInterest;
+            balance = Math.max(0, balance - p.amount);
+        });
+        if (currentMonth) accrue(dueMonth => dueMonth < currentMonth);
+        return { balance, interestPaid, count: payments.length, next };
+    }
+
+    //Simular el pago de varias deudas con un presupuesto mensual fijo (suma de cuotas + extra)
+    //Lo que sobra despues de las cuotas, y la cuota de cada deuda ya liquidada, va a la primera deuda pendiente del orden
+    //debts: [{ id, name, balance, rate, payment }] en la misma moneda
+    static simulate(debts, extra, strategy) {
+        const order = [...debts].sort(strategy === 'avalanche'
+            ? (a, b) => b.rate - a.rate || a.balance - b.balance
+            : (a, b) => a.balance - b.balance || b.rate - a.rate);
+        const state = order.map(d => ({ ...d, paidOff: d.balance <= 0.005 ? 0 : null }));
+        const budget = debts.reduce((acc, d) => acc + d.payment, 0) + extra;
+        let totalInterest = 0;
+        let month = 0;
+        while (state.some(d => d.paidOff === null) && month < this.maxMonths) {
+            month++;
+            let available = budget;
+            const active = state.filter(d => d.paidOff === null);
+            active.forEach(d => {
+                const interest = d.balance * this.monthlyRate(d.rate);
+                d.balance += interest;
+                totalInterest += interest;
+            });
+            active.forEach(d => {
+                const pay = Math.min(d.payment, d.balance, available);
+                d.balance -= pay;
+                available -= pay;
+            });
+            active.forEach(d => {
+                const pay = Math.min(available, d.balance);
+                d.balance -= pay;
+                available -= pay;
+            });
+            active.filter(d => d.balance <= 0.005).forEach(d => { d.paidOff = month; });
+        }
+        const finished = state.every(d => d.paidOff !== null);
+        return {
+            months: finished ? month : null,
+            interest: totalInterest,
+            //Orden en que se liquida cada deuda (las que no terminan quedan al final)
+            order: state.map(d => ({ id: d.id, name: d.name, month: d.paidOff }))
+                .sort((a, b) => (a.month ?? Infinity) - (b.month ?? Infinity))
+        };
+    }
+}
+
+/**
+ * Logica Principal de la Aplicacion
+ * Controla la interfaz y une la BD con el HTML.
+ */
+class FinanceApp {
+    constructor() {
+        this.db = new FinanceDB();
+        //Definimos el mes actual
+        const now = new Date();
+        const year = now.getFullYear();
+        const month = String(now.getMonth() + 1).padStart(2, '0');
+        this.currentMonth = `${year}-${month}`;
+        this.editingTransactionRow = null;
+        this.charts = {};
+        this.editingTxId = null;
+        //Categoria padre abierta en la dona del dashboard (null = vista general)
+        this.chartDrillParent = null;
+        this.categoryChartData = null;
+        //Categoria que se esta eliminando desde el dialogo
+        this.deletingCategoryId = null;
+        //Modo de division del registro en varias categorias (formulario de transacciones)
+        this.splitMode = false;
+        //Etiquetas del registro que se esta escribiendo en el formulario
+        this.txTags = [];
+        //Adjuntos: limites por archivo y por registro; el visor guarda sus URLs temporales para liberarlas al cerrar
+        this.attachmentMaxSize = 5 * 1024 * 1024;
+        this.attachmentMaxCount = 10;
+        this.attachmentTxId = null;
+        this.attachmentUrls = [];
+        //Reglas de categorizacion (ordenadas por prioridad) e historial aprendido (se recalcula al actualizar la UI)
+        this.categoryRules = [];
+        this.categoryHistory = null;
+        //Si el usuario elige la categoria a mano, las sugerencias dejan de cambiarla
+        this.txCategoryTouched = false;
+        //Meta de ahorro con la lista de aportes desplegada
+        this.openGoalId = null;
+        //Deuda con la tabla de amortizacion desplegada
+        this.openDebtId = null;
+        //Cuenta cuyo libro de movimientos esta abierto
+        this.ledgerAccountId = null;
+        //Estado del importador de extractos
+        this.importRows = [];
+        this.importCsvRows = [];
+        //Texto blanco para los graficos
+        Chart.defaults.color = '#ffffff'; 
+        Chart.defaults.borderColor = '#30363d';
+        this.colors = ['#a5d6ff', '#ffa657', '#d2a8ff', '#7ee787', '#f0f6fc']; 
+        this.accountKinds = { cash: 'Efectivo', checking: 'Cuenta corriente', credit: 'Tarjeta de crédito', savings: 'Ahorros' };
+        //Monedas: la base se carga de la BD; las tasas se guardan en memoria para convertir rapido
+        this.currencies = ['USD', 'EUR', 'VES', 'COP', 'MXN', 'ARS', 'CLP', 'PEN', 'BRL', 'GBP'];
+        this.baseCurrency = 'USD';
+        this.rates = [];
+        //Monedas usadas sin ninguna tasa de cambio (se avisa en la cabecera)
+        this.missingRates = new Set();
+        this.moneyFormatters = {};
+        //Periodo del dashboard: month, week, quarter, year, ytd o custom (rango libre)
+        this.periodMode = 'month';
+        this.customRange = { from: '', to: '' };
+        this.comparePrevious = false;
+        //Grafico de tendencia: 'networth' (patrimonio acumulado + proyeccion) o 'monthly' (neto de cada mes)
+        this.trendMode = 'networth';
+        this.forecastMonths = 6;
+        this.trendData = null;
+        //Diario paginado: orden actual, tamaño de pagina y posicion de inicio de cada pagina visitada
+        this.txSort = { field: 'date', dir: 'desc' };
+        this.txPageSize = 50;
+        this.txPaging = { signature: null, starts: [null], page: 0 };
+        this.searchTimer = null;
+        //Seleccion multiple del diario (IDs) y filtro vigente, para "seleccionar todos los filtrados"
+        this.selectedTxIds = new Set();
+        this.currentTxFilter = null;
+        //Umbrales (% de uso) por defecto de las alertas de presupuesto
+        this.defaultThresholds = [80, 100];
+        //Aviso temporal (toast) y la accion de su boton (Deshacer / Rehacer)
+        this.toastTimer = null;
+        this.toastAction = null;
+        //Cada accion guardada en el historial ofrece deshacerse
+        this.db.onCommand = (command) => {
+            this.renderHistoryButtons();
+            this.showToast(command.label, 'Deshacer', () => this.undo());
+        };
+        //Sincronizacion con el servidor propio: al anotar un cambio local se programa un envio
+        this.sync = new SyncManager(this.db);
+        this.syncDelay = 3000;
+        this.syncEvery = 60000;
+        this.syncTimer = null;
+        this.syncInterval = null;
+        this.db.onLocalChange = () => this.scheduleSync();
+        //Si el usuario acepto recargar con la version nueva de la app (modo sin conexion)
+        this.updateAccepted = false;
+    }
+
+    async init() {
+        //Conectar a la BD
+        await this.db.connect();
+        await this.loadCurrencySettings();
+        //Configuracion de la sincronizacion (la primera se lanza despues de mostrar la interfaz)
+        await this.initSync();
+        //Los meses nuevos arrancan con la plantilla de presupuestos
+        await this.applyBudgetTemplate(this.currentMonth, false);
         
-       // Resaltar la fila en la tabla
-        this.highlightTransactionRow(id);
+        //Inicializar filtro de fecha en el HTML
+        const dateInput = document.getElementById('global-month');
+        if(dateInput) {
+            dateInput.value = this.currentMonth;
+            dateInput.addEventListener('change', (e) => {
+                this.handleDateChange(e.target.value);
+            });
+        }
+        const recurringStart = document.getElementById('recurring-start');
+        if (recurringStart) recurringStart.value = this.todayStr();
+        const rateDate = document.getElementById('rate-date');
+        if (rateDate) rateDate.value = this.todayStr();
+        //Atajos de teclado: Ctrl+Z deshace, Ctrl+Y o Ctrl+Shift+Z rehace
+        document.addEventListener('keydown', (e) => this.handleHistoryKeys(e));
+        //Modo sin conexion
+        this.registerServiceWorker();
+        //Cargar categorias al iniciar
+        this.updateUI();
+        //Sin esperar a la red (sin conexion puede tardar hasta el timeout): traer lo que cambio en los otros
+        //dispositivos y recien despues generar los recurrentes vencidos, asi no se duplican
+        this.syncNow(false)
+            .then(() => this.materializeRecurring())
+            .then(count => { if (count > 0) this.updateUI(); });
+    }
+
+    async updateUI() {
+        //Funcion central para actualizar toda la interfaz
+        this.categoryHistory = null;
+        this.missingRates.clear();
+        await this.renderCurrencySettings();
+        await this.renderCategories();
+        await this.renderCategoryRules();
+        await this.renderAccounts();
+        await this.renderTags();
+        await this.renderTransactions();
+        await this.renderSavedFilters();
+        await this.renderRecurring();
+        await this.renderBudgets();
+        await this.renderGoals();
+        await this.renderDebts();
+        await this.renderAlerts();
+        await this.renderSyncSettings();
+        await this.updateDashboard();
+        this.renderRateWarning();
+    }
+
+    createEl(tag, className = '', text = '') {
+        const el = document.createElement(tag);
+        if (className) el.className = className;
+        if (text) el.textContent = text;
+        return el;
+    }
+
+    //Ordenar las categorias como arbol: cada padre seguido de sus subcategorias (depth 0 o 1)
+    sortCategoryTree(categories) {
+        const isRoot = (c) => !c.parentId || !categories.some(p => p.id === c.parentId);
+        const result = [];
+        categories.filter(isRoot).forEach(root => {
+            result.push({ ...root, depth: 0 });
+            categories.filter(c => c.parentId === root.id).forEach(child => result.push({ ...child, depth: 1 }));
+        });
+        return result;
+    }
+
+    //IDs de una categoria y todas sus subcategorias (para sumar el gasto de la familia)
+    getCategoryFamily(categories, id) {
+        return [id, ...categories.filter(c => c.parentId === id).map(c => c.id)];
+    }
+
+    //Mapa ID -> nombre de las categorias, para mostrar los registros
+    async getCategoryNames() {
+        const categories = await this.db.getAll('categories');
+        const names = {};
+        categories.forEach(c => { names[c.id] = c.name; });
+        return names;
+    }
+    
+// CATEGORIAS
+
+    //Renderizar categorias
+    async renderCategories() {
+        const categories = await this.db.getAll('categories');
+
+        //Referencias a elementos del DOM
+        const list = document.getElementById('cat-list');
+        const selectTx = document.getElementById('tx-category');
+        const selectBudget = document.getElementById('budget-category');
+        const selectRecurring = document.getElementById('recurring-category');
+        const selectFilterCat = document.getElementById('filter-category');
+        const selectParent = document.getElementById('cat-parent');
+
+        //Limpieza SEGURA
+        if (list) list.replaceChildren(); 
         
-        // Mover hacia el formulario
-        document.getElementById('tx-form').scrollIntoView({behavior: 'smooth'});
+        //Resetear selects
+        if (selectTx) {
+            selectTx.replaceChildren();
+            selectTx.appendChild(this.createEl('option', '', 'Seleccionar...'));
+        }
+        if (selectBudget) {
+            selectBudget.replaceChildren();
+            selectBudget.appendChild(this.createEl('option', '', 'Seleccionar...'));
+        }
+        if (selectRecurring) {
+            selectRecurring.replaceChildren();
+            selectRecurring.appendChild(this.createEl('option', '', 'Seleccionar...'));
+        }
         
-        // Forzar actualización después de un breve delay
-        setTimeout(() => {
-            this.refreshTransactionHighlight();
-        }, 200);
+        //Solo las categorias principales pueden ser padre (dos niveles)
+        if (selectParent) {
+            const currentParent = selectParent.value;
+            selectParent.replaceChildren();
+            const noneOpt = this.createEl('option', '', 'Sin categoría padre');
+            noneOpt.value = '';
+            selectParent.appendChild(noneOpt);
+            categories.filter(c => !c.parentId && !c.archived).forEach(c => {
+                const opt = this.createEl('option', '', c.name);
+                opt.value = c.id;
+                selectParent.appendChild(opt);
+            });
+            selectParent.value = currentParent;
+        }
+
+        let currentFilterVal = 'all';
+
+        //Resetear el filtro de categorias
+        if (selectFilterCat) {
+            //Guardamos el valor actual para no perder la selección al refrescar
+            currentFilterVal = selectFilterCat.value;
+            selectFilterCat.replaceChildren();
+            const allOpt = this.createEl('option', '', 'Todas las Categorias');
+            allOpt.value = 'all';
+            selectFilterCat.appendChild(allOpt);
+        }
+
+        this.sortCategoryTree(categories).forEach(cat => {
+            //Las subcategorias se muestran con sangria debajo de su padre
+            const label = cat.depth ? `↳ ${cat.name}` : cat.name;
+            //Llenar tabla de gestion
+            if (list) {
+                const row = this.createEl('tr');
+                if (cat.archived) row.classList.add('category-archived');
+                if (cat.depth) row.classList.add('category-child');
+                const tdName = this.createEl('td', '', label);
+                if (cat.archived) tdName.appendChild(this.createEl('span', 'tag tag-archived', 'Archivada'));
+                row.appendChild(tdName);
+
+                const tdActions = this.createEl('td');
+                const btnEdit = this.createEl('button', 'btn btn-primary');
+                btnEdit.style.marginRight = '5px';
+                btnEdit.onclick = () => this.prepareEditCategory(cat.id, cat.name, cat.parentId); // CAMBIADO
+                btnEdit.appendChild(this.createEl('i', 'fas fa-edit'));
+
+                const btnDel = this.createEl('button', 'btn btn-danger');
+                btnDel.onclick = () => this.deleteCategory(cat.id);
+                btnDel.appendChild(this.createEl('i', 'fas fa-trash'));
+
+                tdActions.appendChild(btnEdit);
+                if (cat.archived) {
+                    //Reactivar categoria archivada
+                    const btnRestore = this.createEl('button', 'btn btn-primary');
+                    btnRestore.style.marginRight = '5px';
+                    btnRestore.title = 'Reactivar';
+                    btnRestore.onclick = () => this.setCategoryArchived(cat.id, false);
+                    btnRestore.appendChild(this.createEl('i', 'fas fa-box-open'));
+                    tdActions.appendChild(btnRestore);
+                }
+                tdActions.appendChild(btnDel);
+                row.appendChild(tdActions);
+                list.appendChild(row);
+            }
+
+            //Llenar el filtro de la tabla (incluye archivadas para consultar el historial)
+            if (selectFilterCat) {
+                const opt = this.createEl('option', '', label);
+                opt.value = cat.id;
+                selectFilterCat.appendChild(opt);
+            }
+
+            //Las categorias archivadas no se ofrecen para registrar nada nuevo
+            if (cat.archived) return;
+
+            //Llenar selects
+            if (selectTx) {
+                const opt = this.createEl('option', '', label);
+                opt.value = cat.id;
+                selectTx.appendChild(opt);
+            }
+            if (selectBudget) {
+                const opt = this.createEl('option', '', label);
+                opt.value = cat.id;
+                selectBudget.appendChild(opt);
+            }
+            if (selectRecurring) {
+                const opt = this.createEl('option', '', label);
+                opt.value = cat.id;
+                selectRecurring.appendChild(opt);
+            }
+        });
+
+        if (selectFilterCat) selectFilterCat.value = currentFilterVal;
+    }
+
+    //Manejar el formulario de categorias (crear o editar)
+    async handleCategoryForm(e) {
+        e.preventDefault(); //Evita que se recargue la pagina
+        
+        const catIdInput = document.getElementById('cat-id');
+        const nameInput = document.getElementById('cat-name');
+        const name = nameInput.value;
+        const parentValue = document.getElementById('cat-parent').value;
+        const parentId = parentValue ? parseInt(parentValue) : null;
+        
+        if(name) {
+            if (catIdInput.value) {
+                // Modo EDITAR
+                const saved = await this.editCategory(catIdInput.value, name, parentId);
+                if (saved === false) return;
+            } else {
+                // Modo CREAR
+                await this.db.command(`Categoría "${name}" agregada`, () => this.db.add('categories', { name, parentId }));
+                alert('Nueva Categoria agregada.');
+            }
+            
+            nameInput.value = '';  //Limpiar input
+            catIdInput.value = ''; // Limpiar ID
+            this.resetCategoryForm(); // Resetear formulario
+            this.updateUI(); //Recargar lista
+        }
+    }
+
+    //Preparar formulario para editar categoria
+    prepareEditCategory(id, name, parentId = null) {
+        const formTitle = document.getElementById('category-form-title');
+        const submitBtn = document.getElementById('category-submit-btn');
+        const cancelBtn = document.getElementById('category-cancel-btn');
+        const catIdInput = document.getElementById('cat-id');
+        const catNameInput = document.getElementById('cat-name');
+        
+        // Cambiar textos
+        formTitle.textContent = 'Editar Categoria';
+        submitBtn.textContent = 'Actualizar';
+        
+        // Mostrar botón cancelar
+        cancelBtn.style.display = 'inline-block';
+        
+        // Llenar datos en el formulario
+        catIdInput.value = id;
+        catNameInput.value = name;
+        document.getElementById('cat-parent').value = parentId || '';
+        
+        // Enfocar y seleccionar el texto
+        catNameInput.focus();
+        catNameInput.select();
+        
+        // Desplazar al formulario
+        document.getElementById('category-form').scrollIntoView({ behavior: 'smooth' });
+    }
+
+    
+    //Resetear formulario de categorias
+    resetCategoryForm() {
+        const formTitle = document.getElementById('category-form-title');
+        const submitBtn = document.getElementById('category-submit-btn');
+        const cancelBtn = document.getElementById('category-cancel-btn');
+        const catIdInput = document.getElementById('cat-id');
+        const catNameInput = document.getElementById('cat-name');
+        
+        // Restaurar textos
+        formTitle.textContent = 'Nuevas Categorias';
+        submitBtn.textContent = 'Agregar';
+        submitBtn.innerHTML = 'Agregar'; // También resetear el HTML por si tiene iconos
+        
+        // Ocultar botón cancelar
+        if (cancelBtn) cancelBtn.style.display = 'none';
+        
+        // LIMPIAR INPUTS - ESTA ES LA PARTE IMPORTANTE
+        if (catIdInput) {
+            catIdInput.value = '';
+            console.log("Input cat-id limpiado");
+        }
+        
+        if (catNameInput) {
+            catNameInput.value = '';
+            catNameInput.placeholder = 'Nombre de la Categoria...';
+            console.log("Input cat-name limpiado");
+        }
+
+        const catParentInput = document.getElementById('cat-parent');
+        if (catParentInput) catParentInput.value = '';
+        
+        // Remover cualquier clase de edición del formulario
+        const form = document.getElementById('category-form');
+        if (form) {
+            form.classList.remove('editing-mode');
+        }
+    }
+
+    //Editar categoria (nueva versión sin prompt)
+    //Los registros guardan el ID de la categoria, asi que basta con renombrarla
+    async editCategory(id, newName, parentId = null) {
+        const categories = await this.db.getAll('categories');
+        const cat = categories.find(c => c.id === parseInt(id));
+        if (!cat) return;
+
+        //Solo dos niveles: una categoria con subcategorias no puede tener padre
+        if (parentId && (parentId === cat.id || categories.some(c => c.parentId === cat.id))) {
+            alert('Una categoria con subcategorias (o ella misma) no puede ser su propio padre.');
+            return false;
+        }
+
+        if (newName && (newName !== cat.name || parentId !== (cat.parentId || null))) {
+            await this.db.command(`Categoría "${newName}" editada`, () => this.db.put('categories', { ...cat, name: newName, parentId }));
+            this.updateUI();
+        }
+    }
+
+    //Eliminar categoria: abre un dialogo para elegir que hacer con sus registros
+    async deleteCategory(id) {
+        const categories = await this.db.getAll('categories');
+        const category = categories.find(c => c.id === id);
+        if (!category) return;
+
+        const txs = await this.getCategoryTransactions(id);
+        const rules = (await this.db.getAll('recurring')).filter(r => r.categoryId === id);
+        const budgets = (await this.db.getAll('budgets')).filter(b => b.categoryId === id);
+        this.deletingCategoryId = id;
+
+        document.getElementById('category-delete-title').textContent = `Eliminar "${category.name}"`;
+        document.getElementById('category-delete-summary').textContent =
+            `Tiene ${txs.length} registros, ${rules.length} reglas recurrentes y ${budgets.length} presupuestos asociados.`;
+
+        //Destinos posibles: cualquier otra categoria activa
+        const target = document.getElementById('category-delete-target');
+        target.replaceChildren();
+        categories.filter(c => c.id !== id && !c.archived).forEach(c => {
+            const opt = this.createEl('option', '', c.name);
+            opt.value = c.id;
+            target.appendChild(opt);
+        });
+
+        //Si no tiene nada asociado, el borrado simple es seguro y va preseleccionado
+        const empty = txs.length === 0 && rules.length === 0 && budgets.length === 0;
+        document.querySelector(`input[name="category-delete-action"][value="${empty ? 'cascade' : 'reassign'}"]`).checked = true;
+        document.getElementById('category-delete-archive-option').style.display = category.archived ? 'none' : '';
+        document.getElementById('category-delete-dialog').showModal();
+    }
+
+    //Ejecutar la opcion elegida en el dialogo de borrado
+    async confirmCategoryDelete(e) {
+        e.preventDefault();
+        const id = this.deletingCategoryId;
+        const action = document.querySelector('input[name="category-delete-action"]:checked').value;
+        const targetId = parseInt(document.getElementById('category-delete-target').value);
+
+        if ((action === 'reassign' || action === 'merge') && !targetId) {
+            alert('Selecciona la categoria de destino.');
+            return;
+        }
+        const txs = await this.getCategoryTransactions(id);
+        if (action === 'cascade') {
+            if (txs.length > 0 && !confirm(`Se borrarán ${txs.length} registros (o sus líneas de esa categoría, si están divididos). ¿Continuar?`)) return;
+        }
+
+        const labels = {
+            reassign: `Categoría eliminada, ${txs.length} registros movidos`,
+            merge: `Categoría fusionada, ${txs.length} registros movidos`,
+            archive: 'Categoría archivada',
+            cascade: `Categoría eliminada con ${txs.length} registros`
+        };
+        await this.db.command(labels[action], async () => {
+            if (action === 'reassign') await this.reassignCategory(id, targetId, false);
+            else if (action === 'merge') await this.reassignCategory(id, targetId, true);
+            else if (action === 'archive') await this.setCategoryArchived(id, true);
+            else await this.cascadeDeleteCategory(id);
+        });
+
+        this.closeCategoryDeleteDialog();
+        this.updateUI();
+    }
+
+    //Cerrar el dialogo de borrado
+    closeCategoryDeleteDialog() {
+        this.deletingCategoryId = null;
+        document.getElementById('category-delete-dialog').close();
+    }
+
+    //Mover registros y reglas de una categoria a otra y borrar la original
+    //Con mergeBudgets los limites se suman al presupuesto del destino; si no, se descartan
+    reassignCategory(fromId, toId, mergeBudgets) {
+        return new Promise((resolve) => {
+            const tx = this.db.transaction(['categories', 'transactions', 'recurring', 'budgets', 'budgetTemplates', 'alerts', 'categoryRules'], 'readwrite');
+            const txStore = tx.objectStore('transactions');
+            const ruleStore = tx.objectStore('recurring');
+            const budgetStore = tx.objectStore('budgets');
+
+            //Se recorren todas porque las lineas de un registro dividido no estan en el indice
+            const txsRequest = txStore.getAll();
+            txsRequest.onsuccess = () => {
+                txsRequest.result.filter(t => this.getCategoryLines(t).some(l => l.categoryId === fromId)).forEach(t => {
+                    const updated = { ...t, categoryId: t.categoryId === fromId ? toId : t.categoryId };
+                    if (t.splits) updated.splits = this.mergeSplitLines(t.splits.map(l => l.categoryId === fromId ? { ...l, categoryId: toId } : l));
+                    if (updated.splits && updated.splits.length < 2) updated.splits = null;
+                    txStore.put(updated);
+                });
+            };
+
+            const rulesRequest = ruleStore.getAll();
+            rulesRequest.onsuccess = () => {
+                rulesRequest.result.filter(r => r.categoryId === fromId).forEach(r => ruleStore.put({ ...r, categoryId: toId }));
+            };
+
+            const budgetsRequest = budgetStore.getAll();
+            budgetsRequest.onsuccess = () => {
+                const all = budgetsRequest.result;
+                all.filter(b => b.categoryId === fromId).forEach(b => {
+                    budgetStore.delete(b.id);
+                    if (!mergeBudgets) return;
+                    const targetId = `${b.month}-${toId}`;
+                    const existing = all.find(x => x.id === targetId);
+                    budgetStore.put({
+                        ...(existing || b),
+                        id: targetId,
+                        categoryId: toId,
+                        limit: (existing ? existing.limit : 0) + b.limit
+                    });
+                });
+            };
+
+            //La plantilla sigue la misma regla que los presupuestos
+            const templateStore = tx.objectStore('budgetTemplates');
+            const templatesRequest = templateStore.getAll();
+            templatesRequest.onsuccess = () => {
+                const from = templatesRequest.result.find(t => t.categoryId === fromId);
+                if (!from) return;
+                templateStore.delete(fromId);
+                if (!mergeBudgets) return;
+                const existing = templatesRequest.result.find(t => t.categoryId === toId);
+                templateStore.put({ ...(existing || from), categoryId: toId, limit: (existing ? existing.limit : 0) + from.limit });
+            };
+
+            //El historial de alertas se conserva a nombre del destino
+            const alertStore = tx.objectStore('alerts');
+            const alertsRequest = alertStore.getAll();
+            alertsRequest.onsuccess = () => {
+                alertsRequest.result.filter(a => a.categoryId === fromId).forEach(a => alertStore.put({ ...a, categoryId: toId }));
+            };
+
+            //Las reglas de categorizacion pasan a asignar el destino
+            const categoryRuleStore = tx.objectStore('categoryRules');
+            const categoryRulesRequest = categoryRuleStore.getAll();
+            categoryRulesRequest.onsuccess = () => {
+                categoryRulesRequest.result.filter(r => r.categoryId === fromId).forEach(r => categoryRuleStore.put({ ...r, categoryId: toId }));
+            };
+
+            //Las subcategorias pasan al destino (si es principal) o quedan como principales
+            const catStore = tx.objectStore('categories');
+            const catsRequest = catStore.getAll();
+            catsRequest.onsuccess = () => {
+                const target = catsRequest.result.find(c => c.id === toId);
+                const newParent = target && !target.parentId ? toId : null;
+                catsRequest.result.filter(c => c.parentId === fromId).forEach(c => catStore.put({ ...c, parentId: newParent }));
+            };
+
+            catStore.delete(fromId);
+            tx.oncomplete = () => resolve(true);
+        });
+    }
+
+    //Archivar o reactivar una categoria (archivada no aparece al registrar, pero sigue en el historial)
+    async setCategoryArchived(id, archived) {
+        const categories = await this.db.getAll('categories');
+        const category = categories.find(c => c.id === id);
+        if (!category) return;
+        await this.db.command(archived ? 'Categoría archivada' : 'Categoría reactivada', () => this.db.put('categories', { ...category, archived }));
+        this.updateUI();
+    }
+
+    //Borrado en cascada: la categoria y todo lo asociado (ultima opcion)
+    async cascadeDeleteCategory(id) {
+        //Buscamos las transacciones que tengan alguna linea en esa categoria
+        const txsToDelete = await this.getCategoryTransactions(id);
+        //Usamos Promise.all para esperar a que todas se borren
+        //Un registro dividido solo pierde sus lineas de esta categoria (y ese monto)
+        const deletePromises = txsToDelete.map(t => {
+            const remaining = this.getCategoryLines(t).filter(l => l.categoryId !== id);
+            if (remaining.length === 0) return this.db.delete('transactions', t.id);
+            const amount = Math.round(remaining.reduce((acc, l) => acc + l.amount, 0) * 100) / 100;
+            return this.db.put('transactions', {
+                ...t,
+                amount,
+                categoryId: remaining[0].categoryId,
+                splits: remaining.length > 1 ? remaining : null
+            });
+        });
+        await Promise.all(deletePromises);
+        //Las reglas recurrentes y presupuestos de esa categoria tambien se borran
+        const rules = await this.db.getAll('recurring');
+        await Promise.all(rules.filter(r => r.categoryId === id).map(r => this.db.delete('recurring', r.id)));
+        const budgets = await this.db.getAll('budgets');
+        await Promise.all(budgets.filter(b => b.categoryId === id).map(b => this.db.delete('budgets', b.id)));
+        await this.db.delete('budgetTemplates', id);
+        const alerts = await this.db.getAll('alerts');
+        await Promise.all(alerts.filter(a => a.categoryId === id).map(a => this.db.delete('alerts', a.id)));
+        const categoryRules = await this.db.getAll('categoryRules');
+        await Promise.all(categoryRules.filter(r => r.categoryId === id).map(r => this.db.delete('categoryRules', r.id)));
+        //Las subcategorias se conservan como categorias principales
+        const categories = await this.db.getAll('categories');
+        await Promise.all(categories.filter(c => c.parentId === id).map(c => this.db.put('categories', { ...c, parentId: null })));
+        //Finalmente borramos la categoria
+        await this.db.delete('categories', id);
+    }
+
+    //TRANSACCIONES
+
+    //Lineas de categoria de un registro: las de la division, o una sola con el monto completo
+    getCategoryLines(t) {
+        return t.splits && t.splits.length > 0 ? t.splits : [{ categoryId: t.categoryId, amount: t.amount }];
+    }
+
+    //Juntar lineas repetidas de una misma categoria (ej: al fusionar dos categorias)
+    mergeSplitLines(lines) {
+        const merged = [];
+        lines.forEach(l => {
+            const same = merged.find(m => m.categoryId === l.categoryId);
+            if (same) same.amount = Math.round((same.amount + l.amount) * 100) / 100;
+            else merged.push({ ...l });
+        });
+        return merged;
+    }
+
+    //Registros con al menos una linea en la categoria (el indice solo cubre la categoria principal)
+    async getCategoryTransactions(categoryId) {
+        const txs = await this.db.getAll('transactions');
+        return txs.filter(t => this.getCategoryLines(t).some(l => l.categoryId === categoryId));
+    }
+
+    //Texto de categoria para las tablas: "Transferencia", una categoria, o las de la division
+    getCategoryLabel(t, categoryNames) {
+        if (t.type === 'transfer') return 'Transferencia';
+        return this.getCategoryLines(t).map(l => categoryNames[l.categoryId] || '-').join(' + ');
+    }
+
+    //Cargar la pagina actual del diario segun el orden elegido
+    //Fecha y monto usan su indice con un cursor, asi que solo se lee lo necesario para llenar la pagina;
+    //la categoria se ordena por nombre (otra tabla), por eso se filtra y ordena en memoria
+    async loadTransactionPage(query, typeFilter, tagFilter, matches, categoryNames) {
+        const { field, dir } = this.txSort;
+        const paging = this.txPaging;
+        const size = this.txPageSize;
+
+        if (field === 'category') {
+            const label = (t) => this.getCategoryLabel(t, categoryNames);
+            const all = (await this.loadTransactionsForQuery(query, typeFilter, tagFilter)).filter(matches)
+                .sort((a, b) => label(a).localeCompare(label(b)) * (dir === 'asc' ? 1 : -1) || b.date.localeCompare(a.date));
+            const start = paging.page * size;
+            return { items: all.slice(start, start + size), hasMore: all.length > start + size };
+        }
+
+        const page = await this.db.getPage('transactions', field, {
+            //El rango de la busqueda sobre el mismo campo acota el recorrido del cursor
+            bounds: field === 'date' ? query.date : query.amount,
+            direction: dir === 'asc' ? 'next' : 'prev',
+            after: paging.starts[paging.page],
+            limit: size,
+            filter: matches
+        });
+        if (page.hasMore) paging.starts[paging.page + 1] = page.last;
+        return page;
+    }
+
+    //Controles de pagina debajo del diario
+    renderTxPager(count, hasMore) {
+        const { page } = this.txPaging;
+        const info = document.getElementById('tx-page-info');
+        if (info) {
+            const first = page * this.txPageSize + 1;
+            info.textContent = count === 0 ? 'Sin registros' : `Página ${page + 1} · registros ${first}–${first + count - 1}`;
+        }
+        const prev = document.getElementById('tx-page-prev');
+        const next = document.getElementById('tx-page-next');
+        if (prev) prev.disabled = page === 0;
+        if (next) next.disabled = !hasMore;
+
+        //Indicador de orden en las columnas
+        document.querySelectorAll('th[data-sort]').forEach(th => {
+            th.classList.toggle('sort-asc', th.dataset.sort === this.txSort.field && this.txSort.dir === 'asc');
+            th.classList.toggle('sort-desc', th.dataset.sort === this.txSort.field && this.txSort.dir === 'desc');
+        });
+    }
+
+    //Cambiar de pagina
+    changeTxPage(delta) {
+        const page = this.txPaging.page + delta;
+        if (page < 0 || page >= this.txPaging.starts.length) return;
+        this.txPaging.page = page;
+        this.renderTransactions();
+    }
+
+    //Ordenar por una columna (segundo clic invierte el orden)
+    sortTransactions(field) {
+        if (this.txSort.field === field) {
+            this.txSort = { field, dir: this.txSort.dir === 'asc' ? 'desc' : 'asc' };
+        } else {
+            this.txSort = { field, dir: field === 'category' ? 'asc' : 'desc' };
+        }
+        this.renderTransactions();
+    }
+
+    //Buscar mientras se escribe, pero esperando a que se deje de teclear
+    handleSearchInput() {
+        clearTimeout(this.searchTimer);
+        this.searchTimer = setTimeout(() => this.renderTransactions(), 250);
+    }
+
+    //Buscar ids de categorias o cuentas por nombre (exacto sin mayusculas, o si no, que lo contenga)
+    findIdsByName(items, name) {
+        const wanted = name.toLowerCase();
+        const exact = items.filter(i => i.name.toLowerCase() === wanted);
+        return (exact.length > 0 ? exact : items.filter(i => i.name.toLowerCase().includes(wanted))).map(i => i.id);
+    }
+
+    //Cargar solo los registros que pueden cumplir la busqueda usando los indices de la BD:
+    //el de fecha si hay un rango de fechas, si no el de etiquetas, luego el de tipo, y como ultimo recurso todo
+    async loadTransactionsForQuery(query, typeFilter, tagFilter = 'all') {
+        const { date } = query;
+        if (date.lower !== null || date.upper !== null) {
+            return this.db.getByRange('transactions', 'date', date.lower, date.upper, date.lowerOpen, date.upperOpen);
+        }
+        //La etiqueta del select es obligatoria; las de tag:a,b basta con una (se juntan sin repetir)
+        const tags = tagFilter !== 'all' ? [tagFilter] : [...new Set(query.tags)];
+        if (tags.length > 0) {
+            const byId = new Map();
+            for (const tag of tags) {
+                (await this.db.getAllByIndex('transactions', 'tags', tag)).forEach(t => byId.set(t.id, t));
+            }
+            return [...byId.values()];
+        }
+        const types = typeFilter !== 'all' ? [typeFilter] : [...new Set(query.types)];
+        if (types.length === 1) return this.db.getAllByIndex('transactions', 'type', types[0]);
+        return this.db.getAll('transactions');
+    }
+
+        //Renderizar transacciones
+    async renderTransactions() {
+        const search = document.getElementById('search-tx')?.value || '';
+        //Obtener valores de los filtros
+        const typeFilter = document.getElementById('filter-type')?.value || 'all';
+        const categoryFilter = document.getElementById('filter-category')?.value || 'all';
+        const accountFilter = document.getElementById('filter-account')?.value || 'all';
+        const tagFilter = document.getElementById('filter-tag')?.value || 'all';
+        const accounts = await this.db.getAll('accounts');
+        const categories = await this.db.getAll('categories');
+        const accountName = (id) => (accounts.find(a => a.id === id) || {}).name || '-';
+        const categoryNames = await this.getCategoryNames();
+        //Filtrar por una categoria padre incluye sus subcategorias
+        const categoryFamily = categoryFilter === 'all' ? [] : this.getCategoryFamily(categories, parseInt(categoryFilter));
+
+        //Busqueda con sintaxis (cat:, amount>, before:, /regex/...)
+        const query = SearchQuery.parse(search);
+        //Varias categorias (cat:A,B) se combinan con O; cada una incluye sus subcategorias
+        const queryCategories = query.categories.flatMap(name => {
+            const ids = this.findIdsByName(categories, name);
+            if (ids.length === 0) query.errors.push(`Categoría desconocida: ${name}`);
+            return ids.flatMap(id => this.getCategoryFamily(categories, id));
+        });
+        const queryAccounts = query.accounts.flatMap(name => {
+            const ids = this.findIdsByName(accounts, name);
+            if (ids.length === 0) query.errors.push(`Cuenta desconocida: ${name}`);
+            return ids;
+        });
+        const searchError = document.getElementById('search-error');
+        if (searchError) {
+            searchError.textContent = query.errors.join(' · ');
+            searchError.style.display = query.errors.length > 0 ? '' : 'none';
+        }
+
+        //Todas las condiciones juntas: se evaluan mientras el cursor recorre el indice
+        const matches = (t) => {
+            //Coincidencia por texto (Descripcion o Categoria): todas las palabras deben aparecer
+            const lines = this.getCategoryLines(t);
+            const tags = t.tags || [];
+            const haystack = [(t.desc || ''), ...lines.map(l => categoryNames[l.categoryId] || ''), ...tags].join(' ').toLowerCase();
+            const matchesSearch = query.terms.every(term => haystack.includes(term)) && query.regexes.every(r => r.test(t.desc || ''));
+            //Coincidencia por Tipo (Ingreso/Egreso)
+            const matchesType = (typeFilter === 'all' || t.type === typeFilter) && (query.types.length === 0 || query.types.includes(t.type));
+            //Coincidencia por Categoria (basta una linea de la division)
+            const matchesCategory = (categoryFilter === 'all' || lines.some(l => categoryFamily.includes(l.categoryId))) &&
+                (query.categories.length === 0 || lines.some(l => queryCategories.includes(l.categoryId)));
+            //Coincidencia por Cuenta (una transferencia pertenece a ambas cuentas)
+            const matchesAccount = (accountFilter === 'all' || t.account === parseInt(accountFilter) || t.toAccount === parseInt(accountFilter)) &&
+                (query.accounts.length === 0 || queryAccounts.includes(t.account) || queryAccounts.includes(t.toAccount));
+            //Coincidencia por Etiqueta (tag:a,b basta con una)
+            const matchesTags = (tagFilter === 'all' || tags.includes(tagFilter)) &&
+                (query.tags.length === 0 || query.tags.some(tag => tags.includes(tag)));
+            //Rangos de monto y fecha
+            const matchesRanges = SearchQuery.inRange(t.amount, query.amount) && SearchQuery.inRange(t.date, query.date);
+            //TIENEN QUE CUMPLIRSE TODAS LAS CONDICIONES
+            return matchesSearch && matchesType && matchesCategory && matchesAccount && matchesTags && matchesRanges;
+        };
+
+        //Si cambian los filtros o el orden se vuelve a la primera pagina
+        const signature = JSON.stringify([search, typeFilter, categoryFilter, accountFilter, tagFilter, this.txSort]);
+        if (this.txPaging.signature !== signature) this.txPaging = { signature, starts: [null], page: 0 };
+        const { items: filtered, hasMore } = await this.loadTransactionPage(query, typeFilter, tagFilter, matches, categoryNames);
+        this.renderTxPager(filtered.length, hasMore);
+        this.currentTxFilter = { query, typeFilter, tagFilter, matches };
+        this.currentTxPageIds = filtered.map(t => t.id);
+        this.renderBulkBar();
+        const attachmentsByTx = await this.getAttachmentsByTransaction(this.currentTxPageIds);
+
+        const tbody = document.getElementById('tx-list');
+        if(!tbody) return;
+        //Limpieza segura
+        tbody.replaceChildren();
+
+        const typeTags = {
+            income: ['tag tag-income', 'Ingreso'],
+            expense: ['tag tag-expense', 'Egreso'],
+            transfer: ['tag tag-transfer', 'Transferencia']
+        };
+
+        filtered.forEach(tx => {
+            const isIncome = tx.type === 'income';
+            const isTransfer = tx.type === 'transfer';
+            const row = this.createEl('tr');
+            row.dataset.transactionId = tx.id;
+            if (this.editingTxId === tx.id) {
+                row.classList.add('editing-transaction');
+                console.log(`Transacción ${tx.id} marcada como en edición al renderizar`);
+            }
+
+            //Casilla de seleccion multiple
+            const tdCheck = this.createEl('td');
+            const check = this.createEl('input', 'tx-select');
+            check.type = 'checkbox';
+            check.checked = this.selectedTxIds.has(tx.id);
+            if (check.checked) row.classList.add('tx-selected');
+            check.onchange = () => {
+                if (check.checked) this.selectedTxIds.add(tx.id);
+                else this.selectedTxIds.delete(tx.id);
+                row.classList.toggle('tx-selected', check.checked);
+                this.renderBulkBar();
+            };
+            tdCheck.appendChild(check);
+            row.appendChild(tdCheck);
+            
+            //Fecha
+            row.appendChild(this.createEl('td', '', tx.date));
+            //Tipo
+            const tdType = this.createEl('td');
+            const [tagClass, tagText] = typeTags[tx.type];
+            const spanType = this.createEl('span', tagClass, tagText);
+            tdType.appendChild(spanType);
+            row.appendChild(tdType);
+            //Cuenta (origen → destino en transferencias)
+            row.appendChild(this.createEl('td', '', isTransfer ? `${accountName(tx.account)} → ${accountName(tx.toAccount)}` : accountName(tx.account)));
+            //Categoria y Descripcion
+            const tdCategory = this.createEl('td', '', isTransfer ? '-' : this.getCategoryLabel(tx, categoryNames));
+            if (tx.splits) {
+                tdCategory.classList.add('split-category');
+                tdCategory.title = tx.splits.map(l => `${categoryNames[l.categoryId]}: ${this.formatMoney(l.amount, tx.currency)}`).join('\n');
+            }
+            row.appendChild(tdCategory);
+            //Notas con las etiquetas como chips (un clic filtra por esa etiqueta)
+            const tdDesc = this.createEl('td', '', tx.desc || '-');
+            (tx.tags || []).forEach(tag => {
+                const chip = this.createEl('span', 'tag-chip', `#${tag}`);
+                chip.title = 'Filtrar por esta etiqueta';
+                chip.onclick = () => this.filterByTag(tag);
+                tdDesc.appendChild(chip);
+            });
+            row.appendChild(tdDesc);
+            //Comprobantes: miniatura del primero (o icono de PDF) y cantidad; un clic abre el visor
+            const tdAttachments = this.createEl('td');
+            const attachments = attachmentsByTx[tx.id] || [];
+            const btnAttachments = this.createEl('button', attachments.length > 0 ? 'attachment-cell' : 'attachment-cell attachment-empty');
+            btnAttachments.type = 'button';
+            btnAttachments.title = attachments.length > 0 ? `${attachments.length} comprobante(s)` : 'Adjuntar comprobante';
+            btnAttachments.onclick = () => this.openAttachments(tx.id);
+            if (attachments.length === 0) {
+                btnAttachments.appendChild(this.createEl('i', 'fas fa-paperclip'));
+            } else if (attachments[0].thumbnail) {
+                const img = this.createEl('img', 'attachment-thumb');
+                img.src = attachments[0].thumbnail;
+                img.alt = attachments[0].name;
+                btnAttachments.appendChild(img);
+            } else {
+                btnAttachments.appendChild(this.createEl('i', 'fas fa-file-pdf'));
+            }
+            if (attachments.length > 1) btnAttachments.appendChild(this.createEl('span', 'attachment-count', attachments.length));
+            tdAttachments.appendChild(btnAttachments);
+            row.appendChild(tdAttachments);
+            //Monto
+            if (isTransfer) {
+                row.appendChild(this.createEl('td', 'font-bold', this.formatMoney(tx.amount, tx.currency)));
+            } else {
+                const tdAmount = this.createEl('td', isIncome ? 'text-success font-bold' : 'text-danger font-bold');
+                tdAmount.textContent = `${isIncome ? '+' : '-'}${this.formatMoney(tx.amount, tx.currency)}`;
+                row.appendChild(tdAmount);
+            }
+            //Acciones (Editar/Borrar)
+            const tdActions = this.createEl('td');
+            tdActions.style.display = 'flex';
+            tdActions.style.gap = '5px';
+            //Botones de accion
+            const btnEdit = this.createEl('button', 'btn btn-primary');
+            btnEdit.onclick = () => this.editTransaction(tx.id);
+            btnEdit.appendChild(this.createEl('i', 'fas fa-edit'));
+            //Boton borrar
+            const btnDel = this.createEl('button', 'btn btn-danger');
+            btnDel.onclick = () => this.deleteTransaction(tx.id);
+            btnDel.appendChild(this.createEl('i', 'fas fa-trash'));
+            //Agregar botones a la celda
+            tdActions.appendChild(btnEdit);
+            tdActions.appendChild(btnDel);
+            row.appendChild(tdActions);
+            tbody.appendChild(row);
+        });
+    }
+
+    //ACCIONES EN LOTE
+
+    //Barra de acciones: visible solo con registros seleccionados
+    renderBulkBar() {
+        const bar = document.getElementById('bulk-bar');
+        if (!bar) return;
+        const count = this.selectedTxIds.size;
+        bar.style.display = count > 0 ? '' : 'none';
+        document.getElementById('bulk-count').textContent = `${count} seleccionado${count === 1 ? '' : 's'}`;
+        //Categorias activas, copiadas del formulario (sin su opcion "Seleccionar...")
+        const bulkCategory = document.getElementById('bulk-category');
+        const current = bulkCategory.value;
+        bulkCategory.replaceChildren();
+        const placeholder = this.createEl('option', '', 'Nueva categoría...');
+        placeholder.value = '';
+        bulkCategory.appendChild(placeholder);
+        Array.from(document.getElementById('tx-category').options)
+            .filter(o => !isNaN(parseInt(o.value)))
+            .forEach(o => bulkCategory.appendChild(o.cloneNode(true)));
+        bulkCategory.value = current;
+        //Casilla del encabezado: marcada si toda la pagina esta seleccionada
+        const pageCheck = document.getElementById('tx-select-page');
+        if (pageCheck) {
+            const ids = this.currentTxPageIds || [];
+            pageCheck.checked = ids.length > 0 && ids.every(id => this.selectedTxIds.has(id));
+        }
+        this.handleBulkActionChange();
+    }
+
+    //Seleccionar o quitar todos los registros de la pagina visible
+    toggleSelectPage(checked) {
+        (this.currentTxPageIds || []).forEach(id => {
+            if (checked) this.selectedTxIds.add(id);
+            else this.selectedTxIds.delete(id);
+        });
+        this.renderTransactions();
+    }
+
+    //Seleccionar todo lo que cumple los filtros actuales (todas las paginas)
+    async selectAllFiltered() {
+        if (!this.currentTxFilter) return;
+        const { query, typeFilter, tagFilter, matches } = this.currentTxFilter;
+        const txs = (await this.loadTransactionsForQuery(query, typeFilter, tagFilter)).filter(matches);
+        txs.forEach(t => this.selectedTxIds.add(t.id));
+        this.renderTransactions();
+    }
+
+    clearSelection() {
+        this.selectedTxIds.clear();
+        this.renderTransactions();
+    }
+
+    //Mostrar solo los campos que necesita la accion elegida
+    handleBulkActionChange() {
+        const action = document.getElementById('bulk-action')?.value;
+        const fields = { recategorize: ['bulk-category'], type: ['bulk-type'], shift: ['bulk-days'], desc: ['bulk-find', 'bulk-replace'], delete: [] };
+        ['bulk-category', 'bulk-type', 'bulk-days', 'bulk-find', 'bulk-replace'].forEach(id => {
+            const el = document.getElementById(id);
+            if (el) el.style.display = (fields[action] || []).includes(id) ? '' : 'none';
+        });
+    }
+
+    //Calcular el cambio de cada registro seleccionado segun la accion
+    //Devuelve { puts, deletes, skipped, samples } sin tocar la BD
+    planBulkAction(action, txs, categoryNames) {
+        const puts = [], deletes = [], samples = [];
+        let skipped = 0;
+        const categoryId = parseInt(document.getElementById('bulk-category').value);
+        const type = document.getElementById('bulk-type').value;
+        const days = parseInt(document.getElementById('bulk-days').value) || 0;
+        const find = document.getElementById('bulk-find').value;
+        const replace = document.getElementById('bulk-replace').value;
+        const label = (t) => `${t.date} ${t.desc || this.getCategoryLabel(t, categoryNames)}`;
+
+        txs.forEach(t => {
+            let updated = null, change = '';
+            if (action === 'delete') {
+                deletes.push(t.id);
+                change = 'se elimina';
+            } else if (action === 'recategorize') {
+                //Las transferencias no tienen categoria; una division se reemplaza por la categoria unica
+                if (t.type === 'transfer') { skipped++; return; }
+                updated = { ...t, categoryId, splits: null };
+                change = `${this.getCategoryLabel(t, categoryNames)} → ${categoryNames[categoryId]}`;
+            } else if (action === 'type') {
+                if (t.type === 'transfer' || t.type === type) { skipped++; return; }
+                updated = { ...t, type };
+                change = `${t.type === 'income' ? 'Ingreso' : 'Egreso'} → ${type === 'income' ? 'Ingreso' : 'Egreso'}`;
+            } else if (action === 'shift') {
+                updated = { ...t, date: this.addDays(t.date, days) };
+                change = `${t.date} → ${updated.date}`;
+            } else if (action === 'desc') {
+                //Sin texto a buscar se reemplaza la nota completa; si no, cada aparicion (sin importar mayusculas)
+                const escaped = find.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+                const desc = find ? (t.desc || '').replace(new RegExp(escaped, 'gi'), replace) : replace;
+                if (desc === (t.desc || '')) { skipped++; return; }
+                updated = { ...t, desc };
+                change = `"${t.desc || ''}" → "${desc}"`;
+            }
+            if (updated) puts.push(updated);
+            if (samples.length < 5) samples.push(`${label(t)}: ${change}`);
+        });
+        return { puts, deletes, skipped, samples };
+    }
+
+    //Aplicar la accion a todos los seleccionados en una sola transaccion, previa confirmacion
+    async applyBulkAction() {
+        const action = document.getElementById('bulk-action').value;
+        if (action === 'recategorize' && !document.getElementById('bulk-category').value) {
+            alert('Selecciona la nueva categoría.');
+            return;
+        }
+        if (action === 'shift' && !parseInt(document.getElementById('bulk-days').value)) {
+            alert('Indica cuántos días mover (negativo para atrás).');
+            return;
+        }
+        const all = await this.db.getAll('transactions');
+        const txs = all.filter(t => this.selectedTxIds.has(t.id));
+        const categoryNames = await this.getCategoryNames();
+        const { puts, deletes, skipped, samples } = this.planBulkAction(action, txs, categoryNames);
+        const total = puts.length + deletes.length;
+        if (total === 0) {
+            alert('La acción no cambia ninguno de los registros seleccionados.');
+            return;
+        }
+
+        const verb = action === 'delete' ? 'Se eliminarán' : 'Se modificarán';
+        const lines = [`${verb} ${total} registros.`];
+        if (skipped > 0) lines.push(`${skipped} se omiten (no aplica o ya están así).`);
+        lines.push('', ...samples);
+        if (total > samples.length) lines.push(`... y ${total - samples.length} más.`);
+        lines.push('', '¿Continuar?');
+        const summary = lines.join('\n');
+        if (!confirm(summary)) return;
+
+        const label = action === 'delete' ? `Eliminados ${total} registros` : `Modificados ${total} registros`;
+        try {
+            await this.db.command(label, () => this.db.bulkWrite('transactions', puts, deletes));
+        } catch (error) {
+            alert(`No se aplicó ningún cambio: ${error && error.message ? error.message : error}`);
+            return;
+        }
+        this.selectedTxIds.clear();
+        //Un cambio de tipo o de fecha puede hacer que un presupuesto supere sus umbrales
+        await this.checkBudgetAlerts(puts.filter(t => t.type === 'expense').map(t => t.date.slice(0, 7)));
+        this.updateUI();
+    }
+
+    //FILTROS GUARDADOS
+
+    //Texto de busqueda equivalente a lo que esta puesto en el buscador y los selects
+    //(se guardan nombres y no IDs para que el filtro siga funcionando tras restaurar un respaldo)
+    async buildCurrentQuery() {
+        const parts = [document.getElementById('search-tx').value.trim()];
+        const type = document.getElementById('filter-type').value;
+        const category = document.getElementById('filter-category').value;
+        const account = document.getElementById('filter-account').value;
+        const tag = document.getElementById('filter-tag').value;
+        if (type !== 'all') parts.push(`type:${type}`);
+        if (tag !== 'all') parts.push(`tag:"${tag}"`);
+        if (category !== 'all') parts.push(`cat:"${(await this.getCategoryNames())[category]}"`);
+        if (account !== 'all') {
+            const acc = (await this.db.getAll('accounts')).find(a => a.id === parseInt(account));
+            if (acc) parts.push(`account:"${acc.name}"`);
+        }
+        return parts.filter(Boolean).join(' ');
+    }
+
+    async getSavedFilters() {
+        const setting = (await this.db.getAll('settings')).find(s => s.key === 'savedFilters');
+        return setting ? setting.value : [];
+    }
+
+    //Llenar el select de filtros guardados
+    async renderSavedFilters() {
+        const select = document.getElementById('saved-filters');
+        if (!select) return;
+        const filters = await this.getSavedFilters();
+        select.replaceChildren();
+        const placeholder = this.createEl('option', '', filters.length > 0 ? 'Filtros guardados...' : 'Sin filtros guardados');
+        placeholder.value = '';
+        select.appendChild(placeholder);
+        filters.forEach(f => {
+            const opt = this.createEl('option', '', f.name);
+            opt.value = f.name;
+            opt.title = f.query;
+            select.appendChild(opt);
+        });
+    }
+
+    //Guardar la busqueda actual con un nombre (si el nombre existe se reemplaza)
+    async saveCurrentFilter() {
+        const query = await this.buildCurrentQuery();
+        if (!query) {
+            alert('No hay ningún filtro aplicado.');
+            return;
+        }
+        const name = prompt(`Nombre para el filtro:\n${query}`);
+        if (!name || !name.trim()) return;
+        const filters = (await this.getSavedFilters()).filter(f => f.name !== name.trim());
+        filters.push({ name: name.trim(), query });
+        await this.db.put('settings', { key: 'savedFilters', value: filters });
+        await this.renderSavedFilters();
+        document.getElementById('saved-filters').value = name.trim();
+    }
+
+    //Aplicar un filtro guardado: todo queda en el buscador y los selects vuelven a "todos"
+    async applySavedFilter(name) {
+        const filter = (await this.getSavedFilters()).find(f => f.name === name);
+        if (!filter) return;
+        document.getElementById('search-tx').value = filter.query;
+        ['filter-type', 'filter-category', 'filter-account', 'filter-tag'].forEach(id => { document.getElementById(id).value = 'all'; });
+        this.renderTransactions();
+    }
+
+    //Borrar el filtro guardado seleccionado
+    async deleteSavedFilter() {
+        const name = document.getElementById('saved-filters').value;
+        if (!name || !confirm(`¿Borrar el filtro "${name}"?`)) return;
+        const filters = (await this.getSavedFilters()).filter(f => f.name !== name);
+        await this.db.put('settings', { key: 'savedFilters', value: filters });
+        this.renderSavedFilters();
+    }
+
+    //Agregar o actualizar transaccion
+    //Agregar o actualizar transaccion
+    async addTransaction(e) {
+        e.preventDefault();
+        const type = document.getElementById('tx-type').value;
+        const amount = parseFloat(document.getElementById('tx-amount').value);
+        const date = document.getElementById('tx-date').value;
+        const desc = document.getElementById('tx-desc').value;
+        const account = parseInt(document.getElementById('tx-account').value);
+        //Las transferencias no tienen categoria, solo cuenta destino
+        const isTransfer = type === 'transfer';
+        const toAccount = isTransfer ? parseInt(document.getElementById('tx-to-account').value) : null;
+        //Lo que quedo escrito en el campo de etiquetas tambien cuenta
+        this.addTxTag(document.getElementById('tx-tag-input').value);
+        const tags = [...this.txTags];
+        //Comprobantes elegidos en el formulario (se revisan antes de guardar nada)
+        const files = Array.from(document.getElementById('tx-attachments').files);
+        const existingAttachments = this.editingTxId ? (await this.db.getAllByIndex('attachments', 'transactionId', this.editingTxId)).length : 0;
+        const attachmentErrors = this.checkAttachmentFiles(files, existingAttachments);
+        if (attachmentErrors.length > 0) {
+            alert(`No se pueden adjuntar los archivos:\n- ${attachmentErrors.join('\n- ')}`);
+            return;
+        }
+        const attachments = await this.buildAttachmentRecords(files);
+        //Aporte a una meta de ahorro (opcional)
+        const goalValue = document.getElementById('tx-goal').value;
+        const goalId = goalValue ? parseInt(goalValue) : null;
+        //Pago de una deuda (opcional)
+        const debtValue = document.getElementById('tx-debt').value;
+        const debtId = debtValue ? parseInt(debtValue) : null;
+
+        if (isTransfer && account === toAccount) {
+            alert('La cuenta de origen y la de destino deben ser distintas.');
+            return;
+        }
+
+        //Registro dividido: las lineas deben sumar el total; la primera queda como categoria principal
+        let splits = null;
+        let categoryId = isTransfer ? null : parseInt(document.getElementById('tx-category').value);
+        if (this.splitMode && !isTransfer) {
+            splits = this.getSplitLines();
+            if (splits.length < 2 || splits.some(l => !l.categoryId || !(l.amount > 0))) {
+                alert('Cada línea de la división necesita categoría y monto (mínimo dos líneas).');
+                return;
+            }
+            const total = splits.reduce((acc, l) => acc + l.amount, 0);
+            if (Math.abs(total - amount) > 0.005) {
+                alert(`Las líneas suman ${total.toFixed(2)} y el total es ${amount.toFixed(2)}.`);
+                return;
+            }
+            splits = this.mergeSplitLines(splits);
+            categoryId = splits[0].categoryId;
+            if (splits.length < 2) splits = null;
+        }
+
+        //Las transferencias salen en la moneda de la cuenta origen y llegan convertidas a la del destino
+        const accounts = await this.db.getAll('accounts');
+        const fromAcc = accounts.find(a => a.id === account);
+        const toAcc = accounts.find(a => a.id === toAccount);
+        const currency = isTransfer ? fromAcc.currency : document.getElementById('tx-currency').value;
+        //Sin tasa el registro se sumaria 1:1 a la moneda base
+        const withoutRate = [currency, isTransfer ? toAcc.currency : null].filter(c => c && !this.hasRate(c));
+        if (withoutRate.length > 0) {
+            alert(`No hay tasa de cambio para ${[...new Set(withoutRate)].join(', ')}. Cárgala en Ajustes antes de registrar en esa moneda.`);
+            return;
+        }
+        const toAmount = isTransfer && toAcc.currency !== currency
+            ? Math.round(this.convertAmount(amount, currency, toAcc.currency, date) * 100) / 100
+            : null;
+
+        if (this.editingTxId) {
+            // MODO EDICIÓN
+            //Conservamos los campos que no estan en el formulario (ej: recurringId)
+            const txs = await this.db.getAll('transactions');
+            const { category, ...existing } = txs.find(t => t.id === this.editingTxId) || {};
+            const id = this.editingTxId;
+            //Registro y comprobantes nuevos juntos: si no hay espacio para los archivos no cambia nada
+            try {
+                await this.db.command('Registro editado', () => this.db.putWithDependents('transactions', {
+                    ...existing,
+                    id, //Importante: Mantener el ID
+                    type, amount, currency, date, categoryId, splits, desc, tags, goalId, debtId, account, toAccount, toAmount
+                }, { attachments }));
+            } catch (error) {
+                alert(`No se guardaron los cambios: ${error && error.message ? error.message : error}`);
+                return;
+            }
+            alert('Registro actualizado');
+            // Resetear estado de edición
+            this.editingTxId = null;
+            
+            // Restaurar texto del botón
+            const submitBtn = document.querySelector('#tx-form button[type="submit"]');
+            if (submitBtn) submitBtn.textContent = "Grabar";
+            
+            // Ocultar botón cancelar
+            const cancelBtn = document.getElementById('tx-cancel-btn');
+            if (cancelBtn) cancelBtn.style.display = 'none';
+            
+            // Remover clase de edición del formulario
+            const form = document.getElementById('tx-form');
+            if (form) form.classList.remove('editing-mode');
+            
+            // Remover resaltado
+            this.removeTransactionHighlight();
+            
+            // Resetear formulario
+            e.target.reset();
+            document.getElementById('tx-date').valueAsDate = new Date();
+            this.resetTxSplit();
+            this.resetTxTags();
+            this.resetCategorySuggestion();
+            this.handleTxAccountChange();
+            
+            // Revisar umbrales de presupuesto y actualizar UI
+            if (type === 'expense') await this.checkBudgetAlerts([date.slice(0, 7)]);
+            this.updateUI();
+        } else {
+            // MODO CREACIÓN
+            try {
+                await this.db.command('Registro agregado', () => this.db.putWithDependents('transactions',
+                    { type, amount, currency, date, categoryId, splits, desc, tags, goalId, debtId, account, toAccount, toAmount },
+                    { attachments }));
+            } catch (error) {
+                alert(`No se guardó el registro: ${error && error.message ? error.message : error}`);
+                return;
+            }
+            e.target.reset();
+            document.getElementById('tx-date').valueAsDate = new Date();
+            this.resetTxSplit();
+            this.resetTxTags();
+            this.resetCategorySuggestion();
+            this.handleTxAccountChange();
+            if (type === 'expense') await this.checkBudgetAlerts([date.slice(0, 7)]);
+            this.updateUI();
+            alert('Registro guardado en el diario');
+        }
+    }
+
+    //Editar transaccion
+    //Editar transaccion
+    async editTransaction(id) {
+        // Remover resaltado de cualquier transacción anterior
+        this.removeTransactionHighlight();
+        
+        const txs = await this.db.getAll('transactions');
+        const tx = txs.find(t => t.id === id);
+        if (!tx) return;
+        
+        // Rellenar formulario con datos existentes
+        document.getElementById('tx-type').value = tx.type;
+        document.getElementById('tx-amount').value = tx.amount;
+        document.getElementById('tx-date').value = tx.date;
+        const selectCat = document.getElementById('tx-category');
+        //Si la categoria esta archivada no esta en el select: la agregamos solo para esta edicion
+        if (tx.categoryId && !Array.from(selectCat.options).some(o => o.value === String(tx.categoryId))) {
+            const categoryNames = await this.getCategoryNames();
+            const opt = this.createEl('option', '', `${categoryNames[tx.categoryId]} (archivada)`);
+            opt.value = tx.categoryId;
+            selectCat.appendChild(opt);
+        }
+        selectCat.value = tx.categoryId ?? '';
+        //Cargar las lineas si el registro esta dividido
+        this.resetTxSplit();
+        if (tx.splits) {
+            const categoryNames = await this.getCategoryNames();
+            this.splitMode = true;
+            tx.splits.forEach(l => this.addSplitLine(l.categoryId, l.amount, categoryNames[l.categoryId]));
+        }
+        document.getElementById('tx-desc').value = tx.desc;
+        this.txTags = [...(tx.tags || [])];
+        this.renderTxTags();
+        document.getElementById('tx-goal').value = tx.goalId ?? '';
+        document.getElementById('tx-debt').value = tx.debtId ?? '';
+        document.getElementById('tx-account').value = tx.account;
+        document.getElementById('tx-currency').value = tx.currency;
+        if (tx.toAccount) document.getElementById('tx-to-account').value = tx.toAccount;
+        this.handleTxTypeChange();
+        
+        // Cambiar estado a modo edicion
+        this.editingTxId = id;
+        
+        // Cambiar texto del botón
+        const submitBtn = document.querySelector('#tx-form button[type="submit"]');
+        submitBtn.textContent = "Actualizar";
+        
+        // Mostrar botón cancelar
+        const cancelBtn = document.getElementById('tx-cancel-btn');
+        if (cancelBtn) cancelBtn.style.display = 'inline-block';
+        
+        // Agregar clase de edición al formulario
+        const form = document.getElementById('tx-form');
+        if (form) form.classList.add('editing-mode');
+        
+       // Resaltar la fila en la tabla
+        this.highlightTransactionRow(id);
+        
+        // Mover hacia el formulario
+        document.getElementById('tx-form').scrollIntoView({behavior: 'smooth'});
+        
+        // Forzar actualización después de un breve delay
+        setTimeout(() => {
+            this.refreshTransactionHighlight();
+        }, 200);
+    }
+    //Al cambiar de cuenta, la moneda del registro pasa a ser la de la cuenta
+    async handleTxAccountChange() {
+        const accounts = await this.db.getAll('accounts');
+        const account = accounts.find(a => a.id === parseInt(document.getElementById('tx-account').value));
+        if (account) document.getElementById('tx-currency').value = account.currency;
+    }
+
+    //Mostrar cuenta destino y ocultar categoria cuando el tipo es transferencia
+    handleTxTypeChange() {
+        const isTransfer = document.getElementById('tx-type')?.value === 'transfer';
+        const categorySelect = document.getElementById('tx-category');
+        const toAccountSelect = document.getElementById('tx-to-account');
+        if (!categorySelect || !toAccountSelect) return;
+        //Con la division activa la categoria se elige en cada linea
+        const splitting = this.splitMode && !isTransfer;
+        categorySelect.style.display = isTransfer || splitting ? 'none' : '';
+        categorySelect.required = !isTransfer && !splitting;
+        const splitBtn = document.getElementById('tx-split-btn');
+        if (splitBtn) splitBtn.style.display = isTransfer ? 'none' : '';
+        const splitsBox = document.getElementById('tx-splits');
+        if (splitsBox) splitsBox.style.display = splitting ? '' : 'none';
+        toAccountSelect.style.display = isTransfer ? '' : 'none';
+        toAccountSelect.required = isTransfer;
+        //La transferencia usa siempre la moneda de la cuenta origen
+        const currencySelect = document.getElementById('tx-currency');
+        if (currencySelect) currencySelect.disabled = isTransfer;
+    }
+
+    //Activar o quitar la division del registro en varias categorias
+    toggleTxSplit() {
+        if (this.splitMode) {
+            this.resetTxSplit();
+            return;
+        }
+        this.splitMode = true;
+        //La primera linea arranca con la categoria y el monto que ya estaban en el formulario
+        const amount = parseFloat(document.getElementById('tx-amount').value) || '';
+        this.addSplitLine(document.getElementById('tx-category').value, amount);
+        this.addSplitLine();
+        this.handleTxTypeChange();
+    }
+
+    //Volver al registro de una sola categoria
+    resetTxSplit() {
+        this.splitMode = false;
+        const lines = document.getElementById('tx-split-lines');
+        if (lines) lines.replaceChildren();
+        this.handleTxTypeChange();
+    }
+
+    //Agregar una linea (categoria + monto) a la division
+    //label se usa cuando la categoria ya no esta en el select (archivada)
+    addSplitLine(categoryId = '', amount = '', label = '') {
+        const container = document.getElementById('tx-split-lines');
+        if (!container) return;
+        const row = this.createEl('div', 'split-line');
+
+        //Las opciones se copian del select principal de categorias
+        const select = this.createEl('select', 'form-control split-category-select');
+        Array.from(document.getElementById('tx-category').options).forEach(o => select.appendChild(o.cloneNode(true)));
+        if (categoryId && !Array.from(select.options).some(o => o.value === String(categoryId))) {
+            const opt = this.createEl('option', '', `${label} (archivada)`);
+            opt.value = categoryId;
+            select.appendChild(opt);
+        }
+        select.value = categoryId;
+
+        const input = this.createEl('input', 'form-control split-amount');
+        input.type = 'number';
+        input.step = '0.01';
+        input.min = '0';
+        input.placeholder = 'Monto';
+        input.value = amount;
+        input.oninput = () => this.updateSplitRemaining();
+
+        const btnDel = this.createEl('button', 'btn btn-danger');
+        btnDel.type = 'button';
+        btnDel.onclick = () => {
+            row.remove();
+            this.updateSplitRemaining();
+        };
+        btnDel.appendChild(this.createEl('i', 'fas fa-times'));
+
+        row.appendChild(select);
+        row.appendChild(input);
+        row.appendChild(btnDel);
+        container.appendChild(row);
+        this.updateSplitRemaining();
+    }
+
+    //Lineas de la division tal como estan en el formulario
+    getSplitLines() {
+        return Array.from(document.querySelectorAll('#tx-split-lines .split-line')).map(row => ({
+            categoryId: parseInt(row.querySelector('select').value) || null,
+            amount: parseFloat(row.querySelector('input').value) || 0
+        }));
+    }
+
+    //Mostrar cuanto falta (o sobra) para llegar al total del registro
+    updateSplitRemaining() {
+        const label = document.getElementById('tx-split-remaining');
+        if (!label) return;
+        const total = parseFloat(document.getElementById('tx-amount').value) || 0;
+        const assigned = this.getSplitLines().reduce((acc, l) => acc + l.amount, 0);
+        const remaining = total - assigned;
+        label.textContent = `Sin asignar: ${remaining.toFixed(2)}`;
+        label.className = Math.abs(remaining) > 0.005 ? 'text-danger' : 'text-success';
+    }
+
+    //REGLAS DE CATEGORIZACION
+
+    //Historial desc -> categoria de los registros existentes (se calcula una vez por actualizacion)
+    async getCategoryHistory() {
+        if (!this.categoryHistory) this.categoryHistory = CategoryRules.learn(await this.db.getAll('transactions'));
+        return this.categoryHistory;
+    }
+
+    //Texto corto de una regla (ej: 'contiene "uber" · Egreso · 5–50')
+    describeRule(rule) {
+        const parts = [rule.pattern ? `${rule.match === 'regex' ? 'regex' : 'contiene'} "${rule.pattern}"` : 'cualquier nota'];
+        if (rule.type !== 'any') parts.push(rule.type === 'expense' ? 'Egreso' : 'Ingreso');
+        if (rule.minAmount !== null || rule.maxAmount !== null) parts.push(`${rule.minAmount ?? '…'}–${rule.maxAmount ?? '…'}`);
+        return parts.join(' · ');
+    }
+
+    //Tabla de reglas y select de categorias de su formulario
+    async renderCategoryRules() {
+        this.categoryRules = (await this.db.getAll('categoryRules')).sort((a, b) => a.order - b.order);
+        const categoryNames = await this.getCategoryNames();
+
+        const select = document.getElementById('rule-category');
+        if (select) {
+            const current = select.value;
+            select.replaceChildren();
+            const placeholder = this.createEl('option', '', 'Asignar categoría...');
+            placeholder.value = '';
+            select.appendChild(placeholder);
+            Array.from(document.getElementById('tx-category').options)
+                .filter(o => !isNaN(parseInt(o.value)))
+                .forEach(o => select.appendChild(o.cloneNode(true)));
+            select.value = current;
+        }
+
+        const list = document.getElementById('rule-list');
+        if (!list) return;
+        list.replaceChildren();
+        this.categoryRules.forEach((rule, index) => {
+            const row = this.createEl('tr');
+            row.appendChild(this.createEl('td', '', index + 1));
+            row.appendChild(this.createEl('td', '', this.describeRule(rule)));
+            row.appendChild(this.createEl('td', '', categoryNames[rule.categoryId] || '-'));
+            const tdActions = this.createEl('td');
+            tdActions.style.display = 'flex';
+            tdActions.style.gap = '5px';
+            const btnUp = this.createEl('button', 'btn btn-primary');
+            btnUp.title = 'Subir prioridad';
+            btnUp.disabled = index === 0;
+            btnUp.onclick = () => this.moveCategoryRule(rule.id, -1);
+            btnUp.appendChild(this.createEl('i', 'fas fa-arrow-up'));
+            const btnDown = this.createEl('button', 'btn btn-primary');
+            btnDown.title = 'Bajar prioridad';
+            btnDown.disabled = index === this.categoryRules.length - 1;
+            btnDown.onclick = () => this.moveCategoryRule(rule.id, 1);
+            btnDown.appendChild(this.createEl('i', 'fas fa-arrow-down'));
+            const btnDel = this.createEl('button', 'btn btn-danger');
+            btnDel.onclick = () => this.deleteCategoryRule(rule.id);
+            btnDel.appendChild(this.createEl('i', 'fas fa-trash'));
+            tdActions.appendChild(btnUp);
+            tdActions.appendChild(btnDown);
+            tdActions.appendChild(btnDel);
+            row.appendChild(tdActions);
+            list.appendChild(row);
+        });
+    }
+
+    //Guardar una regla nueva (queda ultima en prioridad)
+    async saveCategoryRule(e) {
+        e.preventDefault();
+        const minValue = document.getElementById('rule-min').value;
+        const maxValue = document.getElementById('rule-max').value;
+        const rule = {
+            match: document.getElementById('rule-match').value,
+            pattern: document.getElementById('rule-pattern').value.trim(),
+            type: document.getElementById('rule-type').value,
+            minAmount: minValue === '' ? null : parseFloat(minValue),
+            maxAmount: maxValue === '' ? null : parseFloat(maxValue),
+            categoryId: parseInt(document.getElementById('rule-category').value)
+        };
+        if (!rule.categoryId) {
+            alert('Selecciona la categoría que asigna la regla.');
+            return;
+        }
+        if (!rule.pattern && rule.minAmount === null && rule.maxAmount === null) {
+            alert('La regla necesita un texto o un rango de montos.');
+            return;
+        }
+        if (rule.match === 'regex') {
+            try {
+                new RegExp(rule.pattern, 'i');
+            } catch (error) {
+                alert(`Expresión regular inválida: ${error.message}`);
+                return;
+            }
+        }
+        const order = this.categoryRules.reduce((max, r) => Math.max(max, r.order), 0) + 1;
+        await this.db.command('Regla de categoría agregada', () => this.db.add('categoryRules', { ...rule, order }));
+        document.getElementById('rule-form').reset();
+        this.updateUI();
+    }
+
+    //Cambiar la prioridad intercambiando el orden con la regla vecina
+    async moveCategoryRule(id, delta) {
+        const index = this.categoryRules.findIndex(r => r.id === id);
+        const other = this.categoryRules[index + delta];
+        if (index < 0 || !other) return;
+        const rule = this.categoryRules[index];
+        await this.db.command('Prioridad de regla cambiada', () => this.db.bulkWrite('categoryRules', [
+            { ...rule, order: other.order },
+            { ...other, order: rule.order }
+        ]));
+        this.renderCategoryRules();
+    }
+
+    async deleteCategoryRule(id) {
+        if (!confirm('¿Eliminar esta regla?')) return;
+        await this.db.command('Regla de categoría eliminada', () => this.db.delete('categoryRules', id));
+        this.renderCategoryRules();
+    }
+
+    //Pre-llenar la categoria del formulario mientras se escribe (regla primero, luego historial)
+    async suggestTxCategory() {
+        const type = document.getElementById('tx-type').value;
+        if (this.editingTxId || this.txCategoryTouched || this.splitMode || type === 'transfer') return;
+        const desc = document.getElementById('tx-desc').value;
+        const amount = parseFloat(document.getElementById('tx-amount').value);
+        const select = document.getElementById('tx-category');
+        const hint = document.getElementById('tx-category-hint');
+        const available = (id) => Array.from(select.options).some(o => o.value === String(id));
+
+        const rule = CategoryRules.find(this.categoryRules, { desc, amount, type });
+        const suggested = rule ? rule.categoryId : CategoryRules.suggest(await this.getCategoryHistory(), desc, type);
+        if (!suggested || !available(suggested)) {
+            hint.textContent = '';
+            return;
+        }
+        select.value = suggested;
+        hint.textContent = rule ? `Categoría por regla: ${this.describeRule(rule)}` : 'Categoría sugerida por registros anteriores';
+    }
+
+    //Elegir la categoria a mano desactiva las sugerencias hasta el proximo registro
+    handleTxCategoryChange() {
+        this.txCategoryTouched = true;
+        document.getElementById('tx-category-hint').textContent = '';
+    }
+
+    resetCategorySuggestion() {
+        this.txCategoryTouched = false;
+        const hint = document.getElementById('tx-category-hint');
+        if (hint) hint.textContent = '';
+    }
+
+    //Recategorizar los registros existentes a los que se les aplica una regla
+    //(las transferencias y los registros divididos no se tocan)
+    async applyRulesToExisting() {
+        if (this.categoryRules.length === 0) {
+            alert('No hay reglas definidas.');
+            return;
+        }
+        const categoryNames = await this.getCategoryNames();
+        const puts = [];
+        (await this.db.getAll('transactions')).forEach(t => {
+            if (t.type === 'transfer' || t.splits) return;
+            const rule = CategoryRules.find(this.categoryRules, t);
+            if (rule && rule.categoryId !== t.categoryId) puts.push({ ...t, categoryId: rule.categoryId });
+        });
+        if (puts.length === 0) {
+            alert('Todos los registros ya tienen la categoría que indican las reglas.');
+            return;
+        }
+        const samples = puts.slice(0, 5).map(t => `${t.date} ${t.desc || '-'} → ${categoryNames[t.categoryId]}`);
+        const more = puts.length > samples.length ? `\n... y ${puts.length - samples.length} más.` : '';
+        if (!confirm(`Se cambiará la categoría de ${puts.length} registros:\n\n${samples.join('\n')}${more}\n\n¿Continuar?`)) return;
+        await this.db.command(`Recategorizados ${puts.length} registros por reglas`, () => this.db.bulkWrite('transactions', puts));
+        this.updateUI();
+    }
+
+    //ADJUNTOS
+
+    //Tamaño legible (ej: "1.2 MB")
+    formatSize(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+
+    //Revisar tipo, tamaño y cantidad de los archivos; devuelve la lista de problemas (vacia si todo bien)
+    checkAttachmentFiles(files, existingCount) {
+        const errors = [];
+        files.forEach(f => {
+            if (!f.type.startsWith('image/') && f.type !== 'application/pdf') {
+                errors.push(`${f.name}: solo se aceptan imágenes o PDF.`);
+            } else if (f.size > this.attachmentMaxSize) {
+                errors.push(`${f.name} pesa ${this.formatSize(f.size)} (máximo ${this.formatSize(this.attachmentMaxSize)}).`);
+            }
+        });
+        if (existingCount + files.length > this.attachmentMaxCount) {
+            errors.push(`Un registro admite hasta ${this.attachmentMaxCount} adjuntos (ya tiene ${existingCount}).`);
+        }
+        return errors;
+    }
+
+    //Miniatura JPEG (data URL) para la tabla; los PDF y formatos que el navegador no dibuja quedan sin miniatura
+    async createThumbnail(file) {
+        if (!file.type.startsWith('image/')) return null;
+        try {
+            const bitmap = await createImageBitmap(file);
+            const scale = Math.min(1, 96 / Math.max(bitmap.width, bitmap.height));
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+            canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+            canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+            bitmap.close();
+            return canvas.toDataURL('image/jpeg', 0.7);
+        } catch (error) {
+            console.warn(`Sin miniatura para ${file.name}:`, error);
+            return null;
+        }
+    }
+
+    //Registros de la tabla attachments (sin transactionId: se asigna al guardar el registro)
+    async buildAttachmentRecords(files) {
+        return Promise.all(files.map(async (file) => ({
+            name: file.name,
+            type: file.type,
+            size: file.size,
+            blob: file,
+            thumbnail: await this.createThumbnail(file),
+            addedAt: new Date().toISOString()
+        })));
+    }
+
+    //Adjuntos de varios registros, agrupados por ID de transaccion
+    async getAttachmentsByTransaction(ids) {
+        const lists = await Promise.all(ids.map(id => this.db.getAllByIndex('attachments', 'transactionId', id)));
+        const byTx = {};
+        ids.forEach((id, i) => { if (lists[i].length > 0) byTx[id] = lists[i]; });
+        return byTx;
+    }
+
+    //Abrir el visor de comprobantes de un registro
+    async openAttachments(txId) {
+        this.attachmentTxId = txId;
+        await this.renderAttachmentViewer();
+        document.getElementById('attachment-dialog').showModal();
+    }
+
+    //Lista de comprobantes y vista del elegido (o del primero)
+    async renderAttachmentViewer(selectedId = null) {
+        this.releaseAttachmentUrls();
+        const attachments = await this.db.getAllByIndex('attachments', 'transactionId', this.attachmentTxId);
+        const selected = attachments.find(a => a.id === selectedId) || attachments[0];
+        const urlFor = (a) => {
+            const url = URL.createObjectURL(a.blob);
+            this.attachmentUrls.push(url);
+            return url;
+        };
+        document.getElementById('attachment-title').textContent = `Comprobantes (${attachments.length}/${this.attachmentMaxCount})`;
+
+        const preview = document.getElementById('attachment-preview');
+        preview.replaceChildren();
+        if (!selected) {
+            preview.appendChild(this.createEl('p', 'attachment-hint', 'Este registro no tiene comprobantes.'));
+        } else if (selected.type === 'application/pdf') {
+            const frame = this.createEl('iframe', 'attachment-frame');
+            frame.src = urlFor(selected);
+            frame.title = selected.name;
+            preview.appendChild(frame);
+        } else {
+            const img = this.createEl('img', 'attachment-image');
+            img.src = urlFor(selected);
+            img.alt = selected.name;
+            preview.appendChild(img);
+        }
+
+        const list = document.getElementById('attachment-list');
+        list.replaceChildren();
+        attachments.forEach(a => {
+            const item = this.createEl('div', a === selected ? 'attachment-item attachment-selected' : 'attachment-item');
+            const open = this.createEl('button', 'attachment-cell');
+            open.type = 'button';
+            open.title = 'Ver';
+            open.onclick = () => this.renderAttachmentViewer(a.id);
+            if (a.thumbnail) {
+                const img = this.createEl('img', 'attachment-thumb');
+                img.src = a.thumbnail;
+                img.alt = a.name;
+                open.appendChild(img);
+            } else {
+                open.appendChild(this.createEl('i', a.type === 'application/pdf' ? 'fas fa-file-pdf' : 'fas fa-file-image'));
+            }
+            item.appendChild(open);
+            item.appendChild(this.createEl('span', 'attachment-name', `${a.name} · ${this.formatSize(a.size)}`));
+            const download = this.createEl('a', 'btn btn-primary');
+            download.href = urlFor(a);
+            download.download = a.name;
+            download.title = 'Descargar';
+            download.appendChild(this.createEl('i', 'fas fa-download'));
+            item.appendChild(download);
+            const btnDel = this.createEl('button', 'btn btn-danger');
+            btnDel.type = 'button';
+            btnDel.title = 'Eliminar';
+            btnDel.onclick = () => this.deleteAttachment(a.id);
+            btnDel.appendChild(this.createEl('i', 'fas fa-trash'));
+            item.appendChild(btnDel);
+            list.appendChild(item);
+        });
+    }
+
+    //Liberar las URLs temporales de los archivos mostrados
+    releaseAttachmentUrls() {
+        this.attachmentUrls.forEach(url => URL.revokeObjectURL(url));
+        this.attachmentUrls = [];
+    }
+
+    closeAttachments() {
+        this.releaseAttachmentUrls();
+        this.attachmentTxId = null;
+        document.getElementById('attachment-dialog').close();
+    }
+
+    //Agregar comprobantes desde el visor
+    async addAttachments(e) {
+        const files = Array.from(e.target.files);
+        const existing = await this.db.getAllByIndex('attachments', 'transactionId', this.attachmentTxId);
+        const errors = this.checkAttachmentFiles(files, existing.length);
+        e.target.value = '';
+        if (errors.length > 0) {
+            alert(`No se pueden adjuntar los archivos:\n- ${errors.join('\n- ')}`);
+            return;
+        }
+        const records = (await this.buildAttachmentRecords(files)).map(a => ({ ...a, transactionId: this.attachmentTxId }));
+        try {
+            await this.db.command(`Adjuntados ${records.length} comprobantes`, () => this.db.bulkAdd('attachments', records));
+        } catch (error) {
+            alert(`No se guardaron los comprobantes: ${error && error.message ? error.message : error}`);
+            return;
+        }
+        await this.renderAttachmentViewer();
+        this.renderTransactions();
+    }
+
+    //Eliminar un comprobante
+    async deleteAttachment(id) {
+        if (!confirm('¿Eliminar este comprobante?')) return;
+        await this.db.command('Comprobante eliminado', () => this.db.delete('attachments', id));
+        await this.renderAttachmentViewer();
+        this.renderTransactions();
+    }
+
+    //ETIQUETAS
+
+    //Etiquetas en minusculas y sin espacios de mas, para que "Viaje" y "viaje " sean la misma
+    normalizeTag(text) {
+        return text.replace(/^#/, '').trim().replace(/\s+/g, ' ').toLowerCase();
+    }
+
+    //Llenar el autocompletado del formulario y el filtro con las etiquetas ya usadas
+    async renderTags() {
+        const tags = await this.db.getIndexKeys('transactions', 'tags');
+        const suggestions = document.getElementById('tag-suggestions');
+        if (suggestions) {
+            suggestions.replaceChildren();
+            tags.forEach(tag => {
+                const opt = this.createEl('option');
+                opt.value = tag;
+                suggestions.appendChild(opt);
+            });
+        }
+        const filter = document.getElementById('filter-tag');
+        if (filter) {
+            const current = filter.value;
+            filter.replaceChildren();
+            const all = this.createEl('option', '', 'Todas las Etiquetas');
+            all.value = 'all';
+            filter.appendChild(all);
+            tags.forEach(tag => {
+                const opt = this.createEl('option', '', `#${tag}`);
+                opt.value = tag;
+                filter.appendChild(opt);
+            });
+            filter.value = tags.includes(current) ? current : 'all';
+        }
+    }
+
+    //Chips de las etiquetas del formulario
+    renderTxTags() {
+        const container = document.getElementById('tx-tag-chips');
+        if (!container) return;
+        container.replaceChildren();
+        this.txTags.forEach(tag => {
+            const chip = this.createEl('span', 'tag-chip', `#${tag}`);
+            const remove = this.createEl('button', 'tag-chip-remove', '×');
+            remove.type = 'button';
+            remove.title = 'Quitar etiqueta';
+            remove.onclick = () => this.removeTxTag(tag);
+            chip.appendChild(remove);
+            container.appendChild(chip);
+        });
+    }
+
+    //Agregar una o varias etiquetas (separadas por coma) al registro del formulario
+    addTxTag(text) {
+        text.split(',').map(t => this.normalizeTag(t)).filter(Boolean).forEach(tag => {
+            if (!this.txTags.includes(tag)) this.txTags.push(tag);
+        });
+        document.getElementById('tx-tag-input').value = '';
+        this.renderTxTags();
+    }
+
+    removeTxTag(tag) {
+        this.txTags = this.txTags.filter(t => t !== tag);
+        this.renderTxTags();
+    }
+
+    resetTxTags() {
+        this.txTags = [];
+        const input = document.getElementById('tx-tag-input');
+        if (input) input.value = '';
+        this.renderTxTags();
+    }
+
+    //Enter o coma agregan la etiqueta escrita; borrar con el campo vacio quita la ultima
+    handleTagKey(e) {
+        if (e.key === 'Enter' || e.key === ',') {
+            e.preventDefault();
+            this.addTxTag(e.target.value);
+        } else if (e.key === 'Backspace' && !e.target.value && this.txTags.length > 0) {
+            this.removeTxTag(this.txTags[this.txTags.length - 1]);
+        }
+    }
+
+    //Filtrar el diario por una etiqueta (desde los chips de la tabla)
+    filterByTag(tag) {
+        document.getElementById('filter-tag').value = tag;
+        this.renderTransactions();
+    }
+
+    // Resaltar fila de transacción en edición
+    highlightTransactionRow(id) {
+        console.log(`Intentando resaltar transacción ID: ${id}`);
+        
+        // Primero, remover el resaltado de cualquier fila anterior
+        this.removeTransactionHighlight();
+        
+        // Buscar la fila por el atributo data-transaction-id
+        const row = document.querySelector(`#tx-list tr[data-transaction-id="${id}"]`);
+        
+        if (row) {
+            // Agregar la clase de resaltado
+            row.classList.add('editing-transaction');
+            this.editingTransactionRow = row;
+            
+            // Scroll a la fila resaltada (opcional)
+            row.scrollIntoView({ 
+                behavior: 'smooth', 
+                block: 'center' 
+            });
+            
+            console.log(`✓ Fila resaltada exitosamente para transacción ID: ${id}`);
+        } else {
+            console.warn(`⚠ No se encontró la fila para transacción ID: ${id}. La tabla puede necesitar ser recargada.`);
+            
+            // Si no encontramos la fila, recargar la tabla
+            setTimeout(() => {
+                this.renderTransactions();
+                // Intentar resaltar de nuevo después de recargar
+                setTimeout(() => {
+                    const rowAfterReload = document.querySelector(`#tx-list tr[data-transaction-id="${id}"]`);
+                    if (rowAfterReload) {
+                        rowAfterReload.classList.add('editing-transaction');
+                        this.editingTransactionRow = rowAfterReload;
+                        console.log(`✓ Fila resaltada después de recargar para ID: ${id}`);
+                    }
+                }, 100);
+            }, 100);
+        }
+    }
+
+
+    // Remover resaltado de transacción
+    removeTransactionHighlight() {
+        // Remover clase de todas las filas
+        document.querySelectorAll('#tx-list tr').forEach(row => {
+            row.classList.remove('editing-transaction');
+        });
+        this.editingTransactionRow = null;
+        
+        // Remover clase del formulario
+        const form = document.getElementById('tx-form');
+        if (form) form.classList.remove('editing-mode');
+    }
+    
+    // Cancelar edición de transacción
+    cancelEditTransaction() {
+        // Resetear estado de edición
+        this.editingTxId = null;
+        
+        // Resetear formulario
+        const form = document.getElementById('tx-form');
+        if (form) {
+            form.reset();
+            form.classList.remove('editing-mode');
+        }
+        this.resetTxSplit();
+        this.resetTxTags();
+        this.resetCategorySuggestion();
+        this.handleTxAccountChange();
+        
+        // Restaurar texto del botón
+        const submitBtn = document.querySelector('#tx-form button[type="submit"]');
+        if (submitBtn) submitBtn.textContent = "Grabar";
+        
+        // Ocultar botón cancelar
+        const cancelBtn = document.getElementById('tx-cancel-btn');
+        if (cancelBtn) cancelBtn.style.display = 'none';
+        
+        // Remover resaltado
+        this.removeTransactionHighlight();
+        
+        console.log("Edición de transacción cancelada");
+    }
+
+    //Eliminar transaccion
+    async deleteTransaction(id) {
+        if(confirm('¿Borrar este registro del diario?')) {
+            await this.db.command('Registro eliminado', () => this.db.delete('transactions', id));
+            this.selectedTxIds.delete(id);
+            this.updateUI();
+        }
+    }
+
+    //MONEDAS
+
+    //Cargar la moneda base y la tabla de tasas
+    async loadCurrencySettings() {
+        const settings = await this.db.getAll('settings');
+        const base = settings.find(s => s.key === 'baseCurrency');
+        if (base) this.baseCurrency = base.value;
+        this.rates = (await this.db.getAll('rates')).sort((a, b) => a.date.localeCompare(b.date));
+        this.moneyFormatters = {};
+    }
+
+    //Formatear un monto con su moneda (ej: "US$ 1.234,50")
+    formatMoney(amount, currency = this.baseCurrency) {
+        if (!this.moneyFormatters[currency]) {
+            try {
+                this.moneyFormatters[currency] = new Intl.NumberFormat('es', { style: 'currency', currency });
+            } catch (error) {
+                //Codigo de moneda invalido: mostramos el numero con el codigo al lado
+                this.moneyFormatters[currency] = { format: (n) => `${n.toFixed(2)} ${currency}` };
+            }
+        }
+        return this.moneyFormatters[currency].format(amount);
+    }
+
+    //Tasa de una moneda respecto a la base en una fecha: la ultima tasa vigente a esa fecha
+    //(si no hay ninguna anterior se usa la primera que exista; sin tasas se asume 1)
+    getRate(currency, date) {
+        if (!currency || currency === this.baseCurrency) return 1;
+        const rates = this.rates.filter(r => r.currency === currency);
+        //Sin ninguna tasa el monto se suma 1:1; queda anotado para el aviso de la cabecera
+        if (rates.length === 0) {
+            this.missingRates.add(currency);
+            return 1;
+        }
+        const valid = rates.filter(r => r.date <= date);
+        return valid.length > 0 ? valid[valid.length - 1].rate : rates[0].rate;
+    }
+
+    //Si hay alguna tasa para convertir la moneda a la base
+    hasRate(currency) {
+        return !currency || currency === this.baseCurrency || this.rates.some(r => r.currency === currency);
+    }
+
+    //Aviso en la cabecera con las monedas que se sumaron 1:1 por no tener tasa de cambio
+    renderRateWarning() {
+        const warning = document.getElementById('rate-warning');
+        if (!warning) return;
+        const missing = [...this.missingRates].sort();
+        warning.style.display = missing.length > 0 ? '' : 'none';
+        warning.title = `Sin tasa de cambio para ${missing.join(', ')}: sus montos se suman 1:1 a ${this.baseCurrency}. Carga una tasa en Ajustes.`;
+        document.getElementById('rate-warning-text').textContent = missing.join(', ');
+    }
+
+    //Convertir un monto a la moneda base
+    toBase(amount, currency, date) {
+        return amount * this.getRate(currency, date);
+    }
+
+    //Convertir un monto entre dos monedas cualesquiera pasando por la base
+    convertAmount(amount, from, to, date) {
+        if (from === to) return amount;
+        return this.toBase(amount, from, date) / this.getRate(to, date);
+    }
+
+    //Renderizar ajustes de moneda y llenar los selects de monedas
+    async renderCurrencySettings() {
+        const rateCurrencies = this.rates.map(r => r.currency);
+        const all = [...new Set([this.baseCurrency, ...this.currencies, ...rateCurrencies])];
+
+        ['base-currency', 'tx-currency', 'account-currency', 'rate-currency', 'goal-currency', 'debt-currency'].forEach(selectId => {
+            const select = document.getElementById(selectId);
+            if (!select) return;
+            const currentVal = select.value;
+            select.replaceChildren();
+            all.filter(c => selectId !== 'rate-currency' || c !== this.baseCurrency).forEach(code => {
+                const opt = this.createEl('option', '', code);
+                opt.value = code;
+                select.appendChild(opt);
+            });
+            select.value = currentVal && all.includes(currentVal) ? currentVal : (selectId === 'rate-currency' ? select.options[0]?.value : this.baseCurrency);
+        });
+        const baseSelect = document.getElementById('base-currency');
+        if (baseSelect) baseSelect.value = this.baseCurrency;
+
+        const tbody = document.getElementById('rate-list');
+        if (!tbody) return;
+        tbody.replaceChildren();
+        [...this.rates].reverse().forEach(r => {
+            const row = this.createEl('tr');
+            row.appendChild(this.createEl('td', '', r.date));
+            row.appendChild(this.createEl('td', '', r.currency));
+            row.appendChild(this.createEl('td', '', `1 ${r.currency} = ${this.formatMoney(r.rate)}`));
+            const tdAction = this.createEl('td');
+            const btnDel = this.createEl('button', 'btn btn-danger');
+            btnDel.onclick = () => this.deleteRate(r.id);
+            btnDel.appendChild(this.createEl('i', 'fas fa-trash'));
+            tdAction.appendChild(btnDel);
+            row.appendChild(tdAction);
+            tbody.appendChild(row);
+        });
+    }
+
+    //Cambiar la moneda base
+    async saveBaseCurrency(e) {
+        e.preventDefault();
+        const currency = document.getElementById('base-currency').value;
+        if (currency === this.baseCurrency) return;
+        if (this.rates.length > 0 && !confirm('Las tasas guardadas están expresadas en la moneda base actual. Deberás revisarlas después del cambio. ¿Continuar?')) return;
+        await this.db.put('settings', { key: 'baseCurrency', value: currency });
+        await this.loadCurrencySettings();
+        this.updateUI();
+    }
+
+    //Guardar (o corregir) la tasa de una moneda para una fecha
+    async saveRate(e) {
+        e.preventDefault();
+        const currency = document.getElementById('rate-currency').value;
+        const date = document.getElementById('rate-date').value;
+        const rate = parseFloat(document.getElementById('rate-value').value);
+        if (!currency || !date || !(rate > 0)) return;
+        await this.db.command(`Tasa ${currency} del ${date} guardada`, () => this.db.put('rates', { id: `${date}-${currency}`, currency, date, rate }));
+        await this.loadCurrencySettings();
+        document.getElementById('rate-value').value = '';
+        this.updateUI();
+    }
+
+    //Eliminar una tasa
+    async deleteRate(id) {
+        if (!confirm('¿Eliminar esta tasa?')) return;
+        await this.db.command('Tasa eliminada', () => this.db.delete('rates', id));
+        await this.loadCurrencySettings();
+        this.updateUI();
+    }
+
+    //CUENTAS
+
+    //Movimiento de una transaccion desde el punto de vista de una cuenta, en la moneda de esa cuenta
+    //(positivo si entra dinero, negativo si sale)
+    getAccountDelta(t, account) {
+        if (t.type === 'transfer' && t.toAccount === account.id) {
+            //El destino recibe el monto ya convertido a su moneda
+            return t.toAmount ?? t.amount;
+        }
+        const amount = this.convertAmount(t.amount, t.currency || account.currency, account.currency, t.date);
+        return t.type === 'income' ? amount : -amount;
+    }
+
+    //Saldo actual de cada cuenta: saldo inicial + ingresos - egresos +/- transferencias
+    computeAccountBalances(accounts, transactions) {
+        const balances = {};
+        accounts.forEach(a => { balances[a.id] = a.openingBalance || 0; });
+        transactions.forEach(t => {
+            accounts.filter(a => a.id === t.account || (t.type === 'transfer' && a.id === t.toAccount))
+                .forEach(a => { balances[a.id] += this.getAccountDelta(t, a); });
+        });
+        return balances;
+    }
+
+    //Renderizar cuentas y llenar los selects que las usan
+    async renderAccounts() {
+        const accounts = await this.db.getAll('accounts');
+        const transactions = await this.db.getAll('transactions');
+        const balances = this.computeAccountBalances(accounts, transactions);
+
+        //Selects de cuentas (conservando la seleccion actual)
+        ['tx-account', 'tx-to-account', 'recurring-account', 'import-account', 'filter-account'].forEach(selectId => {
+            const select = document.getElementById(selectId);
+            if (!select) return;
+            const currentVal = select.value;
+            select.replaceChildren();
+            if (selectId === 'filter-account') {
+                const allOpt = this.createEl('option', '', 'Todas las Cuentas');
+                allOpt.value = 'all';
+                select.appendChild(allOpt);
+            }
+            accounts.forEach(acc => {
+                const opt = this.createEl('option', '', acc.name);
+                opt.value = acc.id;
+                select.appendChild(opt);
+            });
+            if (currentVal && Array.from(select.options).some(o => o.value === currentVal)) select.value = currentVal;
+        });
+
+        const list = document.getElementById('account-list');
+        if (!list) return;
+        list.replaceChildren();
+
+        accounts.forEach(acc => {
+            const row = this.createEl('tr');
+            row.appendChild(this.createEl('td', '', acc.name));
+            row.appendChild(this.createEl('td', '', this.accountKinds[acc.kind] || acc.kind));
+            row.appendChild(this.createEl('td', '', acc.currency));
+            row.appendChild(this.createEl('td', '', this.formatMoney(acc.openingBalance || 0, acc.currency)));
+            const balance = balances[acc.id];
+            row.appendChild(this.createEl('td', balance < 0 ? 'text-danger font-bold' : 'text-success font-bold', this.formatMoney(balance, acc.currency)));
+
+            const tdActions = this.createEl('td');
+            tdActions.style.display = 'flex';
+            tdActions.style.gap = '5px';
+
+            const btnLedger = this.createEl('button', 'btn btn-primary');
+            btnLedger.title = 'Ver movimientos';
+            btnLedger.onclick = () => this.showAccountLedger(acc.id);
+            btnLedger.appendChild(this.createEl('i', 'fas fa-list'));
+
+            const btnEdit = this.createEl('button', 'btn btn-primary');
+            btnEdit.onclick = () => this.prepareEditAccount(acc);
+            btnEdit.appendChild(this.createEl('i', 'fas fa-edit'));
+
+            const btnDel = this.createEl('button', 'btn btn-danger');
+            btnDel.onclick = () => this.deleteAccount(acc.id);
+            btnDel.appendChild(this.createEl('i', 'fas fa-trash'));
+
+            tdActions.appendChild(btnLedger);
+            tdActions.appendChild(btnEdit);
+            tdActions.appendChild(btnDel);
+            row.appendChild(tdActions);
+            list.appendChild(row);
+        });
+
+        //Si hay un libro abierto, lo refrescamos
+        if (this.ledgerAccountId) this.showAccountLedger(this.ledgerAccountId);
+    }
+
+    //Crear o actualizar una cuenta
+    async saveAccount(e) {
+        e.preventDefault();
+        const idInput = document.getElementById('account-id');
+        const account = {
+            name: document.getElementById('account-name').value.trim(),
+            kind: document.getElementById('account-kind').value,
+            currency: document.getElementById('account-currency').value,
+            openingBalance: parseFloat(document.getElementById('account-opening').value) || 0
+        };
+        if (!account.name) return;
+
+        if (idInput.value) {
+            await this.db.command(`Cuenta "${account.name}" editada`, () => this.db.put('accounts', { id: parseInt(idInput.value), ...account }));
+        } else {
+            await this.db.command(`Cuenta "${account.name}" agregada`, () => this.db.add('accounts', account));
+        }
+        this.resetAccountForm();
+        this.updateUI();
+    }
+
+    //Cargar una cuenta en el formulario
+    prepareEditAccount(acc) {
+        document.getElementById('account-id').value = acc.id;
+        document.getElementById('account-name').value = acc.name;
+        document.getElementById('account-kind').value = acc.kind;
+        document.getElementById('account-currency').value = acc.currency;
+        document.getElementById('account-opening').value = acc.openingBalance || 0;
+        document.getElementById('account-submit-btn').textContent = 'Actualizar';
+        document.getElementById('account-cancel-btn').style.display = 'inline-block';
+        document.getElementById('account-name').focus();
+    }
+
+    //Resetear formulario de cuentas
+    resetAccountForm() {
+        document.getElementById('account-form').reset();
+        document.getElementById('account-id').value = '';
+        document.getElementById('account-currency').value = this.baseCurrency;
+        document.getElementById('account-submit-btn').textContent = 'Agregar';
+        document.getElementById('account-cancel-btn').style.display = 'none';
+    }
+
+    //Eliminar cuenta (solo si no tiene movimientos)
+    async deleteAccount(id) {
+        const transactions = await this.db.getAll('transactions');
+        const rules = await this.db.getAll('recurring');
+        const used = transactions.filter(t => t.account === id || t.toAccount === id).length;
+        if (used > 0 || rules.some(r => r.account === id)) {
+            alert(`Esta cuenta tiene ${used} registros o reglas recurrentes asociadas. Muévelos a otra cuenta antes de eliminarla.`);
+            return;
+        }
+        if (!confirm('¿Eliminar esta cuenta?')) return;
+        await this.db.command('Cuenta eliminada', () => this.db.delete('accounts', id));
+        if (this.ledgerAccountId === id) this.closeAccountLedger();
+        this.updateUI();
+    }
+
+    //Mostrar los movimientos de una cuenta con su saldo acumulado
+    async showAccountLedger(id) {
+        const accounts = await this.db.getAll('accounts');
+        const account = accounts.find(a => a.id === id);
+        const card = document.getElementById('account-ledger');
+        if (!account || !card) return;
+        this.ledgerAccountId = id;
+
+        const transactions = (await this.db.getAll('transactions'))
+            .filter(t => t.account === id || t.toAccount === id)
+            .sort((a, b) => a.date.localeCompare(b.date) || a.id - b.id);
+
+        const categoryNames = await this.getCategoryNames();
+        document.getElementById('account-ledger-title').textContent = `Movimientos: ${account.name}`;
+        const tbody = document.getElementById('account-ledger-list');
+        tbody.replaceChildren();
+
+        let balance = account.openingBalance || 0;
+        const rows = transactions.map(t => {
+            //Entrada positiva o salida negativa desde el punto de vista de esta cuenta
+            const delta = this.getAccountDelta(t, account);
+            balance += delta;
+
+            const row = this.createEl('tr');
+            row.appendChild(this.createEl('td', '', t.date));
+            row.appendChild(this.createEl('td', '', this.getCategoryLabel(t, categoryNames)));
+            row.appendChild(this.createEl('td', '', t.desc || '-'));
+            row.appendChild(this.createEl('td', delta < 0 ? 'text-danger' : 'text-success', `${delta < 0 ? '-' : '+'}${this.formatMoney(Math.abs(delta), account.currency)}`));
+            row.appendChild(this.createEl('td', 'font-bold', this.formatMoney(balance, account.currency)));
+            return row;
+        });
+        //Lo mas reciente arriba
+        rows.reverse().forEach(row => tbody.appendChild(row));
+        card.style.display = 'block';
+    }
+
+    //Cerrar el libro de movimientos
+    closeAccountLedger() {
+        this.ledgerAccountId = null;
+        const card = document.getElementById('account-ledger');
+        if (card) card.style.display = 'none';
+    }
+
+    //MOVIMIENTOS RECURRENTES
+
+    //Sumar dias a una fecha AAAA-MM-DD (en UTC para evitar saltos por zona horaria)
+    addDays(dateStr, days) {
+        const d = new Date(`${dateStr}T00:00:00Z`);
+        d.setUTCDate(d.getUTCDate() + days);
+        return d.toISOString().slice(0, 10);
+    }
+
+    //Fecha de hoy en formato AAAA-MM-DD (hora local)
+    todayStr() {
+        const now = new Date();
+        return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+    }
+
+    //Calcular la n-esima ocurrencia de una regla a partir de su fecha de inicio
+    //Se calcula siempre desde el inicio para que el dia 31 no se vaya "corriendo" en meses cortos
+    getOccurrence(rule, n) {
+        if (rule.frequency === 'daily') return this.addDays(rule.startDate, n);
+        if (rule.frequency === 'weekly') return this.addDays(rule.startDate, n * 7);
+
+        const [startYear, startMonth, startDay] = rule.startDate.split('-').map(Number);
+        const monthsToAdd = rule.frequency === 'yearly' ? n * 12 : n;
+        const totalMonths = (startMonth - 1) + monthsToAdd;
+        const year = startYear + Math.floor(totalMonths / 12);
+        const month = (totalMonths % 12) + 1;
+        const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+        const wantedDay = rule.frequency === 'monthly' && rule.dayOfMonth ? rule.dayOfMonth : startDay;
+        const day = Math.min(wantedDay, daysInMonth);
+        return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    }
+
+    //Listar las ocurrencias de una regla hasta una fecha limite (incluida)
+    getOccurrencesUntil(rule, untilDate) {
+        const limit = rule.endDate && rule.endDate < untilDate ? rule.endDate : untilDate;
+        const dates = [];
+        for (let n = 0; n < 10000; n++) {
+            const date = this.getOccurrence(rule, n);
+            if (date > limit) break;
+            //Con dia del mes fijo la primera ocurrencia puede caer antes del inicio
+            if (date >= rule.startDate) dates.push(date);
+        }
+        return dates;
+    }
+
+    //Proxima ocurrencia pendiente (que no se haya generado ni saltado)
+    getNextOccurrence(rule) {
+        for (let n = 0; n < 10000; n++) {
+            const date = this.getOccurrence(rule, n);
+            if (rule.endDate && date > rule.endDate) return null;
+            if (date < rule.startDate) continue;
+            if (rule.lastGenerated && date <= rule.lastGenerated) continue;
+            if ((rule.skipped || []).includes(date)) continue;
+            return date;
+        }
+        return null;
+    }
+
+    //Generar en el diario todas las ocurrencias vencidas de las reglas activas
+    async materializeRecurring() {
+        const rules = await this.db.getAll('recurring');
+        const accounts = await this.db.getAll('accounts');
+        const today = this.todayStr();
+        const pending = [];
+
+        rules.filter(r => !r.paused).forEach(rule => {
+            const due = this.getOccurrencesUntil(rule, today).filter(d => !rule.lastGenerated || d > rule.lastGenerated);
+            if (due.length === 0) return;
+            //Las fechas saltadas no generan registro pero si cuentan como procesadas
+            const dates = due.filter(d => !(rule.skipped || []).includes(d));
+            pending.push({ rule, dates, last: due[due.length - 1] });
+        });
+        if (pending.length === 0) return 0;
+
+        //Todo en una sola transaccion para no duplicar si la app se cierra a mitad
+        return new Promise((resolve) => {
+            const tx = this.db.transaction(['recurring', 'transactions'], 'readwrite');
+            const txStore = tx.objectStore('transactions');
+            const ruleStore = tx.objectStore('recurring');
+            let count = 0;
+            pending.forEach(({ rule, dates, last }) => {
+                dates.forEach(date => {
+                    txStore.add({
+                        type: rule.type,
+                        amount: rule.amount,
+                        date,
+                        categoryId: rule.categoryId,
+                        desc: rule.desc,
+                        account: rule.account,
+                        currency: (accounts.find(a => a.id === rule.account) || {}).currency || this.baseCurrency,
+                        recurringId: rule.id
+                    });
+                    count++;
+                });
+                ruleStore.put({ ...rule, lastGenerated: last });
+            });
+            tx.oncomplete = () => resolve(count);
+        });
+    }
+
+    //Renderizar la tabla de reglas recurrentes
+    async renderRecurring() {
+        const rules = await this.db.getAll('recurring');
+        const accounts = await this.db.getAll('accounts');
+        const categoryNames = await this.getCategoryNames();
+        const tbody = document.getElementById('recurring-list');
+        if (!tbody) return;
+        tbody.replaceChildren();
+
+        const frequencyNames = { daily: 'Diaria', weekly: 'Semanal', monthly: 'Mensual', yearly: 'Anual' };
+
+        rules.forEach(rule => {
+            const isIncome = rule.type === 'income';
+            const row = this.createEl('tr');
+            if (rule.paused) row.classList.add('recurring-paused');
+
+            row.appendChild(this.createEl('td', '', rule.desc || categoryNames[rule.categoryId]));
+            row.appendChild(this.createEl('td', '', categoryNames[rule.categoryId]));
+            const tdAmount = this.createEl('td', isIncome ? 'text-success font-bold' : 'text-danger font-bold');
+            const ruleCurrency = (accounts.find(a => a.id === rule.account) || {}).currency;
+            tdAmount.textContent = `${isIncome ? '+' : '-'}${this.formatMoney(rule.amount, ruleCurrency)}`;
+            row.appendChild(tdAmount);
+
+            let frequency = frequencyNames[rule.frequency];
+            if (rule.frequency === 'monthly' && rule.dayOfMonth) frequency += ` (día ${rule.dayOfMonth})`;
+            if (rule.endDate) frequency += ` hasta ${rule.endDate}`;
+            row.appendChild(this.createEl('td', '', frequency));
+
+            const next = this.getNextOccurrence(rule);
+            row.appendChild(this.createEl('td', '', rule.paused ? 'En pausa' : (next || 'Finalizada')));
+
+            //Acciones
+            const tdActions = this.createEl('td');
+            tdActions.style.display = 'flex';
+            tdActions.style.gap = '5px';
+
+            const btnPause = this.createEl('button', 'btn btn-primary');
+            btnPause.title = rule.paused ? 'Reanudar' : 'Pausar';
+            btnPause.onclick = () => this.toggleRecurringPause(rule.id);
+            btnPause.appendChild(this.createEl('i', rule.paused ? 'fas fa-play' : 'fas fa-pause'));
+
+            const btnSkip = this.createEl('button', 'btn btn-primary');
+            btnSkip.title = 'Saltar próxima ocurrencia';
+            btnSkip.disabled = !next;
+            btnSkip.onclick = () => this.skipRecurringOccurrence(rule.id);
+            btnSkip.appendChild(this.createEl('i', 'fas fa-forward'));
+
+            const btnEdit = this.createEl('button', 'btn btn-primary');
+            btnEdit.title = 'Editar';
+            btnEdit.onclick = () => this.editRecurring(rule.id);
+            btnEdit.appendChild(this.createEl('i', 'fas fa-edit'));
+
+            const btnDel = this.createEl('button', 'btn btn-danger');
+            btnDel.title = 'Eliminar';
+            btnDel.onclick = () => this.deleteRecurring(rule.id);
+            btnDel.appendChild(this.createEl('i', 'fas fa-trash'));
+
+            tdActions.appendChild(btnPause);
+            tdActions.appendChild(btnSkip);
+            tdActions.appendChild(btnEdit);
+            tdActions.appendChild(btnDel);
+            row.appendChild(tdActions);
+            tbody.appendChild(row);
+        });
+    }
+
+    //Crear o actualizar una regla recurrente
+    async saveRecurring(e) {
+        e.preventDefault();
+        const idInput = document.getElementById('recurring-id');
+        const dayValue = document.getElementById('recurring-day').value;
+        const rule = {
+            type: document.getElementById('recurring-type').value,
+            amount: parseFloat(document.getElementById('recurring-amount').value),
+            categoryId: parseInt(document.getElementById('recurring-category').value),
+            desc: document.getElementById('recurring-desc').value,
+            account: parseInt(document.getElementById('recurring-account').value),
+            frequency: document.getElementById('recurring-frequency').value,
+            startDate: document.getElementById('recurring-start').value,
+            endDate: document.getElementById('recurring-end').value || null,
+            dayOfMonth: dayValue ? parseInt(dayValue) : null
+        };
+
+        if (rule.endDate && rule.endDate < rule.startDate) {
+            alert('La fecha de fin no puede ser anterior a la de inicio.');
+            return;
+        }
+
+        //Los registros que la regla genera al guardarse se deshacen junto con ella
+        await this.db.command('Regla recurrente guardada', async () => {
+            if (idInput.value) {
+                //Al editar conservamos el progreso (lo ya generado y lo saltado)
+                const rules = await this.db.getAll('recurring');
+                const existing = rules.find(r => r.id === parseInt(idInput.value));
+                await this.db.put('recurring', { ...existing, ...rule });
+            } else {
+                await this.db.add('recurring', { ...rule, paused: false, skipped: [], lastGenerated: null });
+            }
+            await this.materializeRecurring();
+        });
+
+        this.resetRecurringForm();
+        this.updateUI();
+        alert('Regla recurrente guardada');
+    }
+
+    //Cargar una regla en el formulario para editarla
+    async editRecurring(id) {
+        const rules = await this.db.getAll('recurring');
+        const rule = rules.find(r => r.id === id);
+        if (!rule) return;
+
+        document.getElementById('recurring-id').value = rule.id;
+        document.getElementById('recurring-type').value = rule.type;
+        document.getElementById('recurring-amount').value = rule.amount;
+        document.getElementById('recurring-category').value = rule.categoryId;
+        document.getElementById('recurring-desc').value = rule.desc;
+        document.getElementById('recurring-account').value = rule.account;
+        document.getElementById('recurring-frequency').value = rule.frequency;
+        document.getElementById('recurring-start').value = rule.startDate;
+        document.getElementById('recurring-end').value = rule.endDate || '';
+        document.getElementById('recurring-day').value = rule.dayOfMonth || '';
+
+        document.querySelector('#recurring-form button[type="submit"]').textContent = 'Actualizar';
+        document.getElementById('recurring-cancel-btn').style.display = 'inline-block';
+        document.getElementById('recurring-form').scrollIntoView({ behavior: 'smooth' });
+    }
+
+    //Resetear formulario de reglas recurrentes
+    resetRecurringForm() {
+        const form = document.getElementById('recurring-form');
+        if (form) form.reset();
+        document.getElementById('recurring-id').value = '';
+        document.getElementById('recurring-start').value = this.todayStr();
+        document.querySelector('#recurring-form button[type="submit"]').textContent = 'Programar';
+        document.getElementById('recurring-cancel-btn').style.display = 'none';
+    }
+
+    //Pausar o reanudar una regla
+    async toggleRecurringPause(id) {
+        const rules = await this.db.getAll('recurring');
+        const rule = rules.find(r => r.id === id);
+        if (!rule) return;
+
+        if (rule.paused) {
+            //Al reanudar no se generan las ocurrencias del periodo en pausa
+            const missed = this.getOccurrencesUntil(rule, this.todayStr()).filter(d => !rule.lastGenerated || d > rule.lastGenerated);
+            const skipMissed = missed.length > 0 && confirm('¿Omitir las ocurrencias que vencieron mientras estaba en pausa?');
+            if (skipMissed) rule.lastGenerated = missed[missed.length - 1];
+        }
+        rule.paused = !rule.paused;
+        await this.db.command(rule.paused ? 'Regla pausada' : 'Regla reanudada', async () => {
+            await this.db.put('recurring', rule);
+            await this.materializeRecurring();
+        });
+        this.updateUI();
+    }
+
+    //Saltar solo la proxima ocurrencia de una regla
+    async skipRecurringOccurrence(id) {
+        const rules = await this.db.getAll('recurring');
+        const rule = rules.find(r => r.id === id);
+        if (!rule) return;
+
+        const next = this.getNextOccurrence(rule);
+        if (!next || !confirm(`¿Saltar la ocurrencia del ${next}?`)) return;
+        rule.skipped = [...(rule.skipped || []), next];
+        await this.db.command(`Ocurrencia del ${next} saltada`, () => this.db.put('recurring', rule));
+        this.updateUI();
+    }
+
+    //Eliminar una regla (los registros ya generados se conservan)
+    async deleteRecurring(id) {
+        if (!confirm('¿Eliminar esta regla? Los registros ya generados se conservan en el diario.')) return;
+        await this.db.command('Regla recurrente eliminada', () => this.db.delete('recurring', id));
+        this.updateUI();
+    }
+
+    //IMPORTACION DE EXTRACTOS
+
+    //Leer el archivo elegido y decidir el flujo segun su formato
+    async handleImportFile(e) {
+        const file = e.target.files[0];
+        if (!file) return;
+
+        const format = StatementParser.detectFormat(file.name);
+        if (!format) {
+            alert('Formato no soportado. Usa archivos CSV, OFX o QIF.');
+            e.target.value = '';
+            return;
+        }
+
+        const text = await file.text();
+        const dateFormat = document.getElementById('import-date-format').value;
+        const mapping = document.getElementById('import-mapping');
+
+        if (format === 'csv') {
+            //El CSV necesita que el usuario indique que columna es cada dato
+            this.importCsvRows = StatementParser.parseCSV(text);
+            if (this.importCsvRows.length === 0) {
+                alert('El archivo esta vacio.');
+                return;
+            }
+            this.renderCsvMapping();
+            mapping.style.display = 'grid';
+            return;
+        }
+
+        mapping.style.display = 'none';
+        const rows = format === 'ofx' ? StatementParser.parseOFX(text) : StatementParser.parseQIF(text, dateFormat);
+        await this.prepareImportRows(rows);
+    }
+
+    //Llenar los selects de mapeo con los encabezados (o numero) de cada columna
+    renderCsvMapping() {
+        const header = this.importCsvRows[0];
+        const guesses = {
+            'map-date': /fecha|date/i,
+            'map-desc': /desc|concepto|detalle|memo|payee/i,
+            'map-amount': /monto|importe|amount|cantidad|valor/i
+        };
+
+        Object.keys(guesses).forEach((selectId, fallback) => {
+            const select = document.getElementById(selectId);
+            select.replaceChildren();
+            header.forEach((col, idx) => {
+                const opt = this.createEl('option', '', `${idx + 1}: ${col}`);
+                opt.value = idx;
+                select.appendChild(opt);
+            });
+            //Intentamos adivinar la columna por su nombre
+            const guess = header.findIndex(col => guesses[selectId].test(col));
+            select.value = guess >= 0 ? guess : Math.min(fallback, header.length - 1);
+        });
+    }
+
+    //Aplicar el mapeo del CSV y pasar a la vista previa
+    async applyCsvMapping() {
+        const rows = StatementParser.mapCSV(this.importCsvRows, {
+            date: parseInt(document.getElementById('map-date').value),
+            desc: parseInt(document.getElementById('map-desc').value),
+            amount: parseInt(document.getElementById('map-amount').value),
+            hasHeader: document.getElementById('map-has-header').checked,
+            dateFormat: document.getElementById('import-date-format').value
+        });
+        if (document.getElementById('map-invert').checked) {
+            rows.forEach(r => { r.type = r.type === 'income' ? 'expense' : 'income'; });
+        }
+        await this.prepareImportRows(rows);
+    }
+
+    //Asignar categorias existentes y marcar posibles duplicados
+    async prepareImportRows(rows) {
+        if (rows.length === 0) {
+            alert('No se encontraron movimientos validos en el archivo.');
+            return;
+        }
+
+        const categories = await this.db.getAll('categories');
+        const transactions = await this.db.getAll('transactions');
+        const existing = new Set(transactions.map(t => `${t.date}|${t.amount}|${(t.desc || '').toLowerCase()}`));
+        const history = await this.getCategoryHistory();
+        const active = new Set(categories.filter(c => !c.archived).map(c => c.id));
+
+        this.importRows = rows.map(r => {
+            //Si el archivo trae categoria (QIF) y existe en la app, la usamos; si no, las reglas y luego el historial
+            const match = categories.find(c => !c.archived && c.name.toLowerCase() === (r.sourceCategory || '').toLowerCase());
+            const rule = CategoryRules.find(this.categoryRules, r);
+            const suggested = CategoryRules.suggest(history, r.desc, r.type);
+            const categoryId = match ? match.id : rule ? rule.categoryId : suggested;
+            const duplicate = existing.has(`${r.date}|${r.amount}|${r.desc.toLowerCase()}`);
+            return { ...r, categoryId: active.has(categoryId) ? categoryId : null, include: !duplicate, duplicate };
+        });
+
+        await this.renderImportPreview();
+    }
+
+    //Renderizar la tabla de vista previa
+    async renderImportPreview() {
+        const categories = await this.db.getAll('categories');
+        const preview = document.getElementById('import-preview');
+        const tbody = document.getElementById('import-preview-list');
+        const defaultSelect = document.getElementById('import-default-category');
+        if (!tbody) return;
+
+        const buildCategorySelect = (select, value) => {
+            select.replaceChildren();
+            const placeholder = this.createEl('option', '', 'Seleccionar...');
+            placeholder.value = '';
+            select.appendChild(placeholder);
+            categories.filter(cat => !cat.archived).forEach(cat => {
+                const opt = this.createEl('option', '', cat.name);
+                opt.value = cat.id;
+                select.appendChild(opt);
+            });
+            select.value = value ?? '';
+        };
+
+        buildCategorySelect(defaultSelect, '');
+        tbody.replaceChildren();
+
+        this.importRows.forEach(r => {
+            const row = this.createEl('tr');
+            if (r.duplicate) row.classList.add('import-duplicate');
+
+            //Incluir o no
+            const tdCheck = this.createEl('td');
+            const check = this.createEl('input');
+            check.type = 'checkbox';
+            check.checked = r.include;
+            check.onchange = () => { r.include = check.checked; };
+            tdCheck.appendChild(check);
+            row.appendChild(tdCheck);
+
+            row.appendChild(this.createEl('td', '', r.date));
+            row.appendChild(this.createEl('td', '', r.desc || '-'));
+
+            const isIncome = r.type === 'income';
+            const tdAmount = this.createEl('td', isIncome ? 'text-success font-bold' : 'text-danger font-bold');
+            tdAmount.textContent = `${isIncome ? '+' : '-'}${r.amount.toFixed(2)}`;
+            row.appendChild(tdAmount);
+
+            //Categoria
+            const tdCat = this.createEl('td');
+            const select = this.createEl('select', 'form-control');
+            buildCategorySelect(select, r.categoryId);
+            select.onchange = () => { r.categoryId = select.value ? parseInt(select.value) : null; };
+            tdCat.appendChild(select);
+            row.appendChild(tdCat);
+
+            tbody.appendChild(row);
+        });
+
+        const duplicates = this.importRows.filter(r => r.duplicate).length;
+        document.getElementById('import-summary').textContent =
+            `${this.importRows.length} movimientos encontrados` + (duplicates ? ` (${duplicates} posibles duplicados desmarcados)` : '');
+        preview.style.display = 'block';
+    }
+
+    //Asignar la categoria por defecto a las filas que no tienen una
+    applyImportDefaultCategory() {
+        const categoryId = parseInt(document.getElementById('import-default-category').value);
+        if (!categoryId) return;
+        this.importRows.forEach(r => { if (!r.categoryId) r.categoryId = categoryId; });
+        this.renderImportPreview();
+    }
+
+    //Guardar las filas marcadas en una sola transaccion de IndexedDB
+    async confirmImport() {
+        const selected = this.importRows.filter(r => r.include);
+        if (selected.length === 0) {
+            alert('No hay movimientos seleccionados.');
+            return;
+        }
+        if (selected.some(r => !r.categoryId)) {
+            alert('Todos los movimientos seleccionados necesitan una categoria.');
+            return;
+        }
+
+        const account = parseInt(document.getElementById('import-account').value);
+        const accounts = await this.db.getAll('accounts');
+        const currency = (accounts.find(a => a.id === account) || {}).currency || this.baseCurrency;
+        const records = selected.map(({ type, amount, date, categoryId, desc }) => ({ type, amount, currency, date, categoryId, desc, account }));
+        try {
+            const count = await this.db.command(`Importados ${records.length} registros`, () => this.db.bulkAdd('transactions', records));
+            alert(`${count} registros importados al diario`);
+            this.cancelImport();
+            this.updateUI();
+        } catch (error) {
+            console.error('Error al importar:', error);
+            alert('No se pudo importar el archivo. No se guardo ningun registro.');
+        }
+    }
+
+    //Descartar la importacion en curso
+    cancelImport() {
+        this.importRows = [];
+        this.importCsvRows = [];
+        document.getElementById('import-file').value = '';
+        document.getElementById('import-mapping').style.display = 'none';
+        document.getElementById('import-preview').style.display = 'none';
+        document.getElementById('import-preview-list').replaceChildren();
+    }
+
+    //PRESUPUESTOS
+
+    //Guuardar presupuesto
+    async saveBudget(e) {
+        e.preventDefault();
+        const categoryId = parseInt(document.getElementById('budget-category').value);
+        const amount = parseFloat(document.getElementById('budget-amount').value);
+        //rollover: lo que sobre (o falte) este mes se suma al limite del mes siguiente
+        const rollover = document.getElementById('budget-rollover').checked;
+        //Porcentajes de uso que disparan una alerta
+        const thresholds = this.parseThresholds(document.getElementById('budget-thresholds').value);
+        const id = `${this.currentMonth}-${categoryId}`;
+        await this.db.command('Presupuesto guardado', () => this.db.put('budgets', { id, month: this.currentMonth, categoryId, limit: amount, rollover, thresholds }));
+        alert('presupuesto agregado');
+        this.updateUI();
+    }
+
+    //Mes (YYYY-MM) desplazado n meses
+    shiftMonth(month, n) {
+        const [y, m] = month.split('-').map(Number);
+        const d = new Date(y, m - 1 + n, 1);
+        return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+    }
+
+    //Gasto del mes por categoria, en moneda base y contando cada linea de los registros divididos
+    getMonthExpenses(transactions, month) {
+        const expensesByCategory = {};
+        transactions.forEach(t => {
+            if (t.type === 'expense' && t.date.startsWith(month)) {
+                this.getCategoryLines(t).forEach(l => {
+                    expensesByCategory[l.categoryId] = (expensesByCategory[l.categoryId] || 0) + this.toBase(l.amount, t.currency, t.date);
+                });
+            }
+        });
+        return expensesByCategory;
+    }
+
+    //Arrastre de un presupuesto: lo que sobro (o falto) el mes anterior si ese presupuesto tenia rollover
+    //Es acumulativo: el mes anterior tambien puede venir con arrastre
+    getBudgetCarry(budget, budgets, transactions, categories, expensesCache = {}) {
+        const prevMonth = this.shiftMonth(budget.month, -1);
+        const prev = budgets.find(b => b.month === prevMonth && b.categoryId === budget.categoryId);
+        if (!prev || !prev.rollover) return 0;
+        if (!expensesCache[prevMonth]) expensesCache[prevMonth] = this.getMonthExpenses(transactions, prevMonth);
+        const spent = this.getCategoryFamily(categories, prev.categoryId).reduce((acc, id) => acc + (expensesCache[prevMonth][id] || 0), 0);
+        return prev.limit + this.getBudgetCarry(prev, budgets, transactions, categories, expensesCache) - spent;
+    }
+
+    //Copiar los presupuestos del mes anterior al mes actual (sin pisar los que ya existen)
+    async copyPreviousBudgets() {
+        const prevMonth = this.shiftMonth(this.currentMonth, -1);
+        const budgets = await this.db.getAll('budgets');
+        const previous = budgets.filter(b => b.month === prevMonth);
+        if (previous.length === 0) {
+            alert(`No hay presupuestos en ${prevMonth}.`);
+            return;
+        }
+        const existing = budgets.filter(b => b.month === this.currentMonth).map(b => b.categoryId);
+        const records = previous
+            .filter(b => !existing.includes(b.categoryId))
+            .map(b => ({ ...b, id: `${this.currentMonth}-${b.categoryId}`, month: this.currentMonth }));
+        if (records.length > 0) await this.db.command(`Copiados ${records.length} presupuestos de ${prevMonth}`, () => this.db.bulkAdd('budgets', records));
+        alert(`${records.length} presupuestos copiados de ${prevMonth}.`);
+        this.updateUI();
+    }
+
+    //Guardar los presupuestos del mes actual como plantilla para los meses nuevos
+    async saveBudgetTemplate() {
+        const monthBudgets = (await this.db.getAll('budgets')).filter(b => b.month === this.currentMonth);
+        if (monthBudgets.length === 0) {
+            alert('Este mes no tiene presupuestos para usar como plantilla.');
+            return;
+        }
+        if (!confirm(`La plantilla se reemplazará con los ${monthBudgets.length} presupuestos de este mes. ¿Continuar?`)) return;
+        await this.db.command('Plantilla de presupuestos guardada', () => this.db.replaceAll('budgetTemplates',
+            monthBudgets.map(b => ({ categoryId: b.categoryId, limit: b.limit, rollover: !!b.rollover, thresholds: b.thresholds }))));
+        this.updateUI();
+    }
+
+    //Vaciar la plantilla
+    async clearBudgetTemplate() {
+        if (!confirm('¿Borrar la plantilla de presupuestos?')) return;
+        await this.db.command('Plantilla de presupuestos borrada', () => this.db.replaceAll('budgetTemplates'));
+        this.updateUI();
+    }
+
+    //Aplicar la plantilla a un mes
+    //Automaticamente (force = false) solo se aplica una vez, a meses actuales o futuros sin presupuestos;
+    //los meses ya procesados se recuerdan en ajustes para no revivir presupuestos borrados a proposito
+    async applyBudgetTemplate(month, force = true) {
+        const template = await this.db.getAll('budgetTemplates');
+        const budgets = await this.db.getAll('budgets');
+        const settings = await this.db.getAll('settings');
+        const applied = (settings.find(s => s.key === 'budgetTemplateMonths') || { value: [] }).value;
+        const existing = budgets.filter(b => b.month === month).map(b => b.categoryId);
+
+        if (!force) {
+            if (template.length === 0 || applied.includes(month) || month < this.todayStr().slice(0, 7)) return;
+            if (existing.length > 0) return;
+        }
+
+        const records = template
+            .filter(t => !existing.includes(t.categoryId))
+            .map(t => ({ id: `${month}-${t.categoryId}`, month, categoryId: t.categoryId, limit: t.limit, rollover: t.rollover, thresholds: t.thresholds }));
+        //Solo la aplicacion manual (boton) entra al historial
+        const write = () => this.db.bulkAdd('budgets', records);
+        if (records.length > 0) await (force ? this.db.command(`Aplicada la plantilla a ${month}`, write) : write());
+        if (!applied.includes(month)) await this.db.put('settings', { key: 'budgetTemplateMonths', value: [...applied, month] });
+        if (force) {
+            alert(`${records.length} presupuestos agregados desde la plantilla.`);
+            this.updateUI();
+        }
+    }
+
+    //Renderizar presupuestos
+    async renderBudgets() {
+        const budgets = await this.db.getAll('budgets');
+        const transactions = await this.db.getAll('transactions');
+        const categories = await this.db.getAll('categories');
+        const categoryNames = await this.getCategoryNames();
+        
+        //Presupuestos de cada mes del periodo del dashboard (igual que los KPIs y el reporte)
+        const range = this.getPeriodRange();
+        const periodMonths = this.getRangeMonths(range);
+        const monthBudgets = budgets.filter(b => periodMonths.includes(b.month)).sort((a, b) => a.month.localeCompare(b.month));
+        const title = document.getElementById('budget-period-title');
+        if (title) title.textContent = periodMonths.length === 1 ? `Estado de Presupuestos (${periodMonths[0]})` : `Estado de Presupuestos (${periodMonths[0]} → ${periodMonths[periodMonths.length - 1]})`;
+
+        //Los limites estan en moneda base, asi que el gasto tambien se convierte (getBudgetRows llena el cache por mes)
+        const expensesCache = {};
+
+        //Resumen de la plantilla
+        const template = await this.db.getAll('budgetTemplates');
+        const templateInfo = document.getElementById('budget-template-info');
+        if (templateInfo) {
+            templateInfo.textContent = template.length > 0
+                ? `Plantilla: ${template.map(t => `${categoryNames[t.categoryId]} ${this.formatMoney(t.limit)}`).join(', ')}`
+                : 'Sin plantilla: guarda los presupuestos de un mes para repetirlos en los meses nuevos.';
+        }
+
+        const tbody = document.getElementById('budget-list');
+        if(!tbody) return;
+        
+        //Limpieza segura
+        tbody.replaceChildren();
+
+        this.getBudgetRows(monthBudgets, budgets, transactions, categories, expensesCache).forEach(({ budget: b, carry, real, diff, percent, thresholds, statusClass }) => {
+            const row = this.createEl('tr');
+            row.appendChild(this.createEl('td', '', b.month));
+
+            //Categoria
+            const tdCategory = this.createEl('td', '', categoryNames[b.categoryId] || '-');
+            if (b.rollover) {
+                const icon = this.createEl('i', 'fas fa-redo budget-rollover-icon');
+                icon.title = 'Lo que sobre o falte pasa al mes siguiente';
+                tdCategory.appendChild(icon);
+            }
+            row.appendChild(tdCategory);
+            row.appendChild(this.createEl('td', '', this.formatMoney(b.limit)));
+            //Arrastre
+            const tdCarry = this.createEl('td', carry < 0 ? 'text-danger' : (carry > 0 ? 'text-success' : ''));
+            tdCarry.textContent = carry === 0 ? '-' : `${carry > 0 ? '+' : ''}${this.formatMoney(carry)}`;
+            row.appendChild(tdCarry);
+            row.appendChild(this.createEl('td', '', this.formatMoney(real)));
+            
+            //Diferencia
+            const tdDiff = this.createEl('td', diff < 0 ? 'text-danger' : 'text-success');
+            tdDiff.textContent = this.formatMoney(diff);
+            row.appendChild(tdDiff);
+
+            //Estado (Porcentaje)
+            const tdStatus = this.createEl('td');
+            tdStatus.title = `Alertas al ${thresholds.join('%, ')}%`;
+            
+            const spanStatus = this.createEl('span', statusClass, `${percent.toFixed(1)}%`);
+            spanStatus.style.fontWeight = 'bold';
+            tdStatus.appendChild(spanStatus);
+            row.appendChild(tdStatus);
+
+            //Accion (Borrar)
+            const tdAction = this.createEl('td');
+            const btnDel = this.createEl('button', 'btn btn-danger');
+            btnDel.style.padding = '0.25rem 0.5rem';
+            btnDel.style.fontSize = '0.8rem';
+            btnDel.onclick = () => this.deleteBudget(b.id);
+            btnDel.appendChild(this.createEl('i', 'fas fa-trash'));
+            
+            tdAction.appendChild(btnDel);
+            row.appendChild(tdAction);
+
+            tbody.appendChild(row);
+        });
+    }
+
+    //Uso de cada presupuesto de un mes: gasto real, arrastre, diferencia y color de estado
+    //expensesCache guarda el gasto por categoria de cada mes ya calculado (YYYY-MM -> {categoryId: monto})
+    getBudgetRows(monthBudgets, budgets, transactions, categories, expensesCache) {
+        return monthBudgets.map(b => {
+            if (!expensesCache[b.month]) expensesCache[b.month] = this.getMonthExpenses(transactions, b.month);
+            //Un presupuesto de categoria padre absorbe el gasto de sus subcategorias
+            const real = this.getCategoryFamily(categories, b.categoryId).reduce((acc, id) => acc + (expensesCache[b.month][id] || 0), 0);
+            //El limite efectivo incluye lo arrastrado del mes anterior
+            const carry = this.getBudgetCarry(b, budgets, transactions, categories, expensesCache);
+            const limit = b.limit + carry;
+            const percent = limit > 0 ? (real / limit) * 100 : 0;
+            //El aviso amarillo empieza en el primer umbral del presupuesto
+            const thresholds = b.thresholds || this.defaultThresholds;
+            let statusClass = 'text-success';
+            if (percent >= thresholds[0]) statusClass = 'text-warning';
+            if (percent > 100) statusClass = 'text-danger';
+            return { budget: b, carry, real, limit, diff: limit - real, percent, thresholds, statusClass };
+        });
+    }
+
+    //Eliminar presupuesto
+    async deleteBudget(id) {
+        if(confirm('¿Desequipar este presupuesto?')) {
+            await this.db.command('Presupuesto eliminado', () => this.db.delete('budgets', id));
+            this.updateUI();
+        }
+    }
+
+    //ALERTAS DE PRESUPUESTO
+
+    //Leer umbrales escritos como "80, 100" (si no hay ninguno valido se usan los de siempre)
+    parseThresholds(text) {
+        const values = (text || '').split(/[,;\s]+/).map(v => parseFloat(v)).filter(v => v > 0);
+        return values.length > 0 ? [...new Set(values)].sort((a, b) => a - b) : [...this.defaultThresholds];
+    }
+
+    //Revisar los presupuestos de los meses indicados y registrar los umbrales recien superados
+    //Cada umbral avisa una sola vez por presupuesto y mes
+    async checkBudgetAlerts(months) {
+        const budgets = await this.db.getAll('budgets');
+        const transactions = await this.db.getAll('transactions');
+        const categories = await this.db.getAll('categories');
+        const alerts = await this.db.getAll('alerts');
+        const categoryNames = await this.getCategoryNames();
+        const expensesCache = {};
+
+        for (const month of new Set(months)) {
+            expensesCache[month] = this.getMonthExpenses(transactions, month);
+            for (const b of budgets.filter(x => x.month === month)) {
+                const spent = this.getCategoryFamily(categories, b.categoryId).reduce((acc, id) => acc + (expensesCache[month][id] || 0), 0);
+                const limit = b.limit + this.getBudgetCarry(b, budgets, transactions, categories, expensesCache);
+                const percent = limit > 0 ? (spent / limit) * 100 : 0;
+                const crossed = (b.thresholds || this.defaultThresholds).filter(th => percent >= th &&
+                    !alerts.some(a => a.month === month && a.categoryId === b.categoryId && a.threshold === th));
+
+                for (const threshold of crossed) {
+                    const record = { month, categoryId: b.categoryId, threshold, percent, spent, limit, date: new Date().toISOString(), read: false };
+                    await this.db.add('alerts', record);
+                    alerts.push(record);
+                    this.notifyBrowser(`Presupuesto de ${categoryNames[b.categoryId]} al ${percent.toFixed(0)}%`,
+                        `Superaste el umbral del ${threshold}% (${this.formatMoney(spent)} de ${this.formatMoney(limit)}) en ${month}.`);
+                }
+            }
+        }
+        await this.renderAlerts();
+    }
+
+    //Aviso del navegador, solo si el usuario lo activo y dio permiso
+    async notifyBrowser(title, body) {
+        if (!('Notification' in window) || Notification.permission !== 'granted') return;
+        const setting = (await this.db.getAll('settings')).find(s => s.key === 'browserNotifications');
+        if (setting && setting.value) new Notification(title, { body });
+    }
+
+    //Activar o desactivar los avisos del navegador (pide permiso la primera vez)
+    async toggleBrowserNotifications(enabled) {
+        if (enabled) {
+            if (!('Notification' in window)) {
+                alert('Este navegador no soporta notificaciones.');
+                enabled = false;
+            } else if (await Notification.requestPermission() !== 'granted') {
+                alert('El navegador no dio permiso para mostrar notificaciones.');
+                enabled = false;
+            }
+        }
+        await this.db.put('settings', { key: 'browserNotifications', value: enabled });
+        document.getElementById('browser-notifications').checked = enabled;
+    }
+
+    //Centro de notificaciones: contador de no leidas y listado del historial
+    async renderAlerts() {
+        const alerts = (await this.db.getAll('alerts')).sort((a, b) => b.date.localeCompare(a.date));
+        const categoryNames = await this.getCategoryNames();
+        const unread = alerts.filter(a => !a.read).length;
+
+        const badge = document.getElementById('alert-badge');
+        if (badge) {
+            badge.textContent = unread;
+            badge.style.display = unread > 0 ? '' : 'none';
+        }
+        const setting = (await this.db.getAll('settings')).find(s => s.key === 'browserNotifications');
+        const checkbox = document.getElementById('browser-notifications');
+        if (checkbox) checkbox.checked = !!(setting && setting.value);
+
+        const list = document.getElementById('alert-list');
+        if (!list) return;
+        list.replaceChildren();
+        if (alerts.length === 0) {
+            list.appendChild(this.createEl('li', 'alert-empty', 'Sin alertas por ahora.'));
+            return;
+        }
+        alerts.forEach(a => {
+            const item = this.createEl('li', a.read ? 'alert-item' : 'alert-item alert-unread');
+            const title = this.createEl('strong', a.threshold >= 100 ? 'text-danger' : 'text-warning',
+                `${categoryNames[a.categoryId] || '-'}: ${a.threshold}% superado`);
+            item.appendChild(title);
+            item.appendChild(this.createEl('span', '',
+                `${a.month} · ${this.formatMoney(a.spent)} de ${this.formatMoney(a.limit)} (${a.percent.toFixed(1)}%)`));
+            item.appendChild(this.createEl('small', '', new Date(a.date).toLocaleString('es')));
+            list.appendChild(item);
+        });
+    }
+
+    //Abrir y cerrar el centro de notificaciones
+    openAlertCenter() {
+        this.renderAlerts();
+        document.getElementById('alert-center').showModal();
+    }
+
+    closeAlertCenter() {
+        document.getElementById('alert-center').close();
     }
-    // Resaltar fila de transacción en edición
-    highlightTransactionRow(id) {
-        console.log(`Intentando resaltar transacción ID: ${id}`);
-        
-        // Primero, remover el resaltado de cualquier fila anterior
-        this.removeTransactionHighlight();
+
+    //Marcar todas las alertas como leidas
+    async markAlertsRead() {
+        const alerts = await this.db.getAll('alerts');
+        await Promise.all(alerts.filter(a => !a.read).map(a => this.db.put('alerts', { ...a, read: true })));
+        this.renderAlerts();
+    }
+
+    //Borrar el historial de alertas (los umbrales pueden volver a avisar)
+    async clearAlerts() {
+        if (!confirm('¿Borrar todo el historial de alertas?')) return;
+        await this.db.command('Historial de alertas borrado', () => this.db.replaceAll('alerts'));
+        this.renderAlerts();
+    }
+
+    //PERIODOS DEL DASHBOARD
+
+    //Ultimo dia de un mes (YYYY-MM)
+    endOfMonth(month) {
+        return this.addDays(`${this.shiftMonth(month, 1)}-01`, -1);
+    }
+
+    //Rango {from, to} (fechas YYYY-MM-DD inclusive) del periodo elegido, tomando como referencia el mes global
+    getPeriodRange() {
+        const month = this.currentMonth;
+        const [year, monthNum] = month.split('-').map(Number);
+        const today = this.todayStr();
+        switch (this.periodMode) {
+            case 'week': {
+                //Semana de lunes a domingo: la de hoy si el mes global es el actual, si no la del dia 1
+                const anchor = today.startsWith(month) ? today : `${month}-01`;
+                const offset = (new Date(`${anchor}T00:00:00Z`).getUTCDay() + 6) % 7;
+                const from = this.addDays(anchor, -offset);
+                return { from, to: this.addDays(from, 6) };
+            }
+            case 'quarter': {
+                const first = `${year}-${String(Math.floor((monthNum - 1) / 3) * 3 + 1).padStart(2, '0')}`;
+                return { from: `${first}-01`, to: this.endOfMonth(this.shiftMonth(first, 2)) };
+            }
+            case 'year':
+                return { from: `${year}-01-01`, to: `${year}-12-31` };
+            case 'ytd': {
+                //Desde el 1 de enero hasta hoy (o hasta el fin del mes global si es un mes pasado)
+                const end = this.endOfMonth(month);
+                return { from: `${year}-01-01`, to: end < today ? end : today };
+            }
+            case 'custom':
+                if (this.customRange.from && this.customRange.to && this.customRange.from <= this.customRange.to) {
+                    return { ...this.customRange };
+                }
+                break;
+        }
+        return { from: `${month}-01`, to: this.endOfMonth(month) };
+    }
+
+    //Periodo anterior equivalente: el mes/trimestre/año previo, o un rango de igual largo justo antes
+    getPreviousRange(range) {
+        const monthsBack = { month: 1, quarter: 3, year: 12, ytd: 12 }[this.periodMode];
+        if (monthsBack) {
+            const from = `${this.shiftMonth(range.from.slice(0, 7), -monthsBack)}-01`;
+            const toMonth = this.shiftMonth(range.to.slice(0, 7), -monthsBack);
+            //El dia final se recorta al largo del mes (ej: 29 de febrero -> 28)
+            const lastDay = this.endOfMonth(toMonth);
+            const sameDay = `${toMonth}-${range.to.slice(8)}`;
+            return { from, to: sameDay < lastDay ? sameDay : lastDay };
+        }
+        const days = Math.round((new Date(`${range.to}T00:00:00Z`) - new Date(`${range.from}T00:00:00Z`)) / 86400000) + 1;
+        const to = this.addDays(range.from, -1);
+        return { from: this.addDays(to, -(days - 1)), to };
+    }
+
+    //Meses (YYYY-MM) que toca un rango, para sumar sus presupuestos
+    getRangeMonths(range) {
+        const months = [];
+        for (let m = range.from.slice(0, 7); m <= range.to.slice(0, 7); m = this.shiftMonth(m, 1)) months.push(m);
+        return months;
+    }
+
+    //Sumar ingresos, gastos y gastos por categoria de un rango (en moneda base)
+    summarizeRange(txs, range) {
+        const periodTxs = txs.filter(t => t.date >= range.from && t.date <= range.to);
+        let income = 0, expense = 0;
+        const expensesByCat = {};
+        //Un registro con varias etiquetas suma su monto completo en cada una
+        const expensesByTag = {};
+
+        periodTxs.forEach(t => {
+            //Las transferencias solo mueven dinero entre cuentas: no son ingreso ni gasto
+            //Todo se suma convertido a la moneda base
+            const amount = this.toBase(t.amount, t.currency, t.date);
+            if(t.type === 'income') income += amount;
+            else if (t.type === 'expense') {
+                expense += amount;
+                this.getCategoryLines(t).forEach(l => {
+                    expensesByCat[l.categoryId] = (expensesByCat[l.categoryId] || 0) + this.toBase(l.amount, t.currency, t.date);
+                });
+                (t.tags || []).forEach(tag => { expensesByTag[tag] = (expensesByTag[tag] || 0) + amount; });
+            }
+        });
+        return { periodTxs, income, expense, expensesByCat, expensesByTag };
+    }
+
+    //Cambio en el selector de periodo o en la comparacion
+    handlePeriodChange() {
+        this.periodMode = document.getElementById('period-mode').value;
+        this.customRange = {
+            from: document.getElementById('period-from').value,
+            to: document.getElementById('period-to').value
+        };
+        this.comparePrevious = document.getElementById('period-compare').checked;
+        document.getElementById('period-custom').style.display = this.periodMode === 'custom' ? '' : 'none';
+        this.renderBudgets();
+        this.updateDashboard();
+    }
+
+    //Mostrar la variacion de un KPI frente al periodo anterior
+    //higherIsBetter decide el color: mas ingresos es bueno, mas gastos no
+    renderKpiDelta(id, current, previous, higherIsBetter) {
+        const el = document.getElementById(`${id}-delta`);
+        if (!el) return;
+        if (!this.comparePrevious) {
+            el.style.display = 'none';
+            return;
+        }
+        const diff = current - previous;
+        const percent = previous !== 0 ? ` (${diff >= 0 ? '+' : ''}${((diff / Math.abs(previous)) * 100).toFixed(1)}%)` : '';
+        el.textContent = `${diff >= 0 ? '▲ +' : '▼ '}${this.formatMoney(diff)}${percent} vs. periodo anterior`;
+        el.className = 'kpi-delta ' + (diff === 0 ? '' : ((diff > 0) === higherIsBetter ? 'text-success' : 'text-danger'));
+        el.style.display = '';
+    }
+
+    async updateDashboard() {
+        const txs = await this.db.getAll('transactions');
+        const budgets = await this.db.getAll('budgets');
+        const categories = await this.db.getAll('categories');
+        const categoryNames = await this.getCategoryNames();
+        const accounts = await this.db.getAll('accounts');
+        const rules = await this.db.getAll('recurring');
+        const range = this.getPeriodRange();
+        const { periodTxs, income, expense, expensesByCat, expensesByTag } = this.summarizeRange(txs, range);
+        //Periodo anterior (solo si se pidio la comparacion)
+        const previousRange = this.getPreviousRange(range);
+        const previous = this.comparePrevious ? { ...this.summarizeRange(txs, previousRange), range: previousRange } : null;
+
+        const periodLabel = document.getElementById('period-label');
+        if (periodLabel) {
+            periodLabel.textContent = `${range.from} → ${range.to}` + (previous ? ` · comparado con ${previousRange.from} → ${previousRange.to}` : '');
+        }
+        //Presupuestos de todos los meses que toca el periodo
+        const periodMonths = this.getRangeMonths(range);
+        const periodBudgets = budgets.filter(b => periodMonths.includes(b.month));
+
+        //KPIs
+        if(document.getElementById('kpi-income')) {
+            document.getElementById('kpi-income').innerText = this.formatMoney(income);
+            document.getElementById('kpi-expense').innerText = this.formatMoney(expense);
+            document.getElementById('kpi-balance').innerText = this.formatMoney(income - expense);
+            if (previous) {
+                this.renderKpiDelta('kpi-income', income, previous.income, true);
+                this.renderKpiDelta('kpi-expense', expense, previous.expense, false);
+                this.renderKpiDelta('kpi-balance', income - expense, previous.income - previous.expense, true);
+            } else {
+                ['kpi-income', 'kpi-expense', 'kpi-balance'].forEach(id => this.renderKpiDelta(id, 0, 0, true));
+            }
+            
+            const totalBudget = periodBudgets.reduce((acc, b) => acc + b.limit, 0);
+            const budgetStatus = totalBudget > 0 ? (expense / totalBudget) * 100 : 0;
+            document.getElementById('kpi-budget-status').innerText = `${budgetStatus.toFixed(1)}%`;
+
+        //Renderizar Transacciones Recientes (ultimas 5) ---
+        const recentTable = document.getElementById('dashboard-recent-tx');
+        if (recentTable) {
+            recentTable.replaceChildren();
+            //Ordenar por fecha desc y tomar 5
+            const recent = [...periodTxs].sort((a, b) => new Date(b.date) - new Date(a.date)).slice(0, 5);
+            recent.forEach(t => {
+                const row = this.createEl('tr');
+                row.appendChild(this.createEl('td', '', t.date));
+                row.appendChild(this.createEl('td', '', this.getCategoryLabel(t, categoryNames)));
+                const amountClass = { income: 'text-success', expense: 'text-danger', transfer: '' }[t.type];
+                const tdAmount = this.createEl('td', amountClass);
+                tdAmount.textContent = this.formatMoney(t.amount, t.currency);
+                row.appendChild(tdAmount);
+                recentTable.appendChild(row);
+            });
+        }
+        }
+
+        this.trendData = { txs, accounts, rules };
+        this.renderCharts(periodTxs, expensesByCat, income, expense, periodBudgets, txs, categories, previous);
+        this.renderTagChart(expensesByTag, previous ? previous.expensesByTag : null);
+    }
+
+    //Barras horizontales con el gasto del periodo por etiqueta (las 10 mayores)
+    renderTagChart(expensesByTag, previousByTag = null) {
+        const canvas = document.getElementById('chart-tags');
+        if (!canvas) return;
+        if (this.charts['chart-tags']) this.charts['chart-tags'].destroy();
+        const tags = Object.keys(expensesByTag).sort((a, b) => expensesByTag[b] - expensesByTag[a]).slice(0, 10);
+        this.charts['chart-tags'] = new Chart(canvas, {
+            type: 'bar',
+            data: {
+                labels: tags.map(tag => `#${tag}`),
+                datasets: [{ label: `Gasto (${this.baseCurrency})`, data: tags.map(tag => expensesByTag[tag]), backgroundColor: '#d2a8ff' }]
+                    .concat(previousByTag ? [{ label: 'Periodo anterior', data: tags.map(tag => previousByTag[tag] || 0), backgroundColor: '#30363d' }] : [])
+            },
+            options: {
+                indexAxis: 'y',
+                plugins: { title: { display: true, text: tags.length > 0 ? 'Marcas del Viajero (por etiqueta)' : 'Sin etiquetas en el periodo' } },
+                maintainAspectRatio: false
+            }
+        });
+    }
+
+    //Renderizar graficos
+    //expensesByCat viene agrupado por ID de categoria; categories traduce a nombres y jerarquia
+    //previous trae los totales del periodo anterior cuando se compara (si no, es null)
+    renderCharts(periodTxs, expensesByCat, income, expense, periodBudgets, allTxs, categories, previous = null) {
+        if (!this.charts) this.charts = {};
+        const destroyChart = (id) => { if (this.charts[id]) this.charts[id].destroy(); };
+        const categoryNames = {};
+        categories.forEach(c => { categoryNames[c.id] = c.name; });
+
+        //Dona (Categorias)
+        this.categoryChartData = { expensesByCat, categories, previousExpensesByCat: previous ? previous.expensesByCat : null };
+        this.renderCategoryChart();
+
+        //Barras (Balance)
+        if(document.getElementById('chart-distribution')) {
+            destroyChart('chart-distribution');
+            this.charts['chart-distribution'] = new Chart(document.getElementById('chart-distribution'), {
+                type: 'bar',
+                data: {
+                    labels: ['Alma', 'Daño'],
+                    datasets: [{ label: `Geos (${this.baseCurrency})`, data: [income, expense], backgroundColor: ['#a5d6ff', '#ffa657'] }]
+                        .concat(previous ? [{ label: 'Periodo anterior', data: [previous.income, previous.expense], backgroundColor: '#30363d' }] : [])
+                },
+                options: { plugins: { title: { display: true, text: 'Equilibrio del Vacío' } }, maintainAspectRatio: false }
+            });
+        }
         
-        // Buscar la fila por el atributo data-transaction-id
-        const row = document.querySelector(`#tx-list tr[data-transaction-id="${id}"]`);
+        //Linea (Tendencia o patrimonio)
+        this.renderTrendChart();
+
+        //Barras Agrupadas (Presupuesto)
+        //Si el periodo abarca varios meses, los limites de cada categoria se suman
+        const limits = new Map();
+        periodBudgets.forEach(b => limits.set(b.categoryId, (limits.get(b.categoryId) || 0) + b.limit));
+        const budgetIds = [...limits.keys()];
+        const labels = budgetIds.map(id => categoryNames[id]);
+        const spentIn = (expenses) => budgetIds.map(id => this.getCategoryFamily(categories, id).reduce((acc, c) => acc + (expenses[c] || 0), 0));
         
-        if (row) {
-            // Agregar la clase de resaltado
-            row.classList.add('editing-transaction');
-            this.editingTransactionRow = row;
-            
-            // Scroll a la fila resaltada (opcional)
-            row.scrollIntoView({ 
-                behavior: 'smooth', 
-                block: 'center' 
+        if(document.getElementById('chart-budget-vs-real')) {
+            destroyChart('chart-budget-vs-real');
+            this.charts['chart-budget-vs-real'] = new Chart(document.getElementById('chart-budget-vs-real'), {
+                type: 'bar',
+                data: {
+                    labels: labels,
+                    datasets: [
+                        { label: 'Límite', data: budgetIds.map(id => limits.get(id)), backgroundColor: '#30363d' },
+                        { label: 'Actual', data: spentIn(expensesByCat), backgroundColor: '#ffa657' }
+                    ].concat(previous ? [{ label: 'Periodo anterior', data: spentIn(previous.expensesByCat), backgroundColor: '#a5d6ff' }] : [])
+                },
+                options: { plugins: { title: { display: true, text: 'Sobrecarga de presupuestos' } }, maintainAspectRatio: false }
             });
-            
-            console.log(`✓ Fila resaltada exitosamente para transacción ID: ${id}`);
+        }
+    }
+
+    //Neto (ingresos - gastos, en moneda base) de cada mes; con onlyManual se ignoran los generados por reglas
+    getMonthlyNet(txs, onlyManual = false) {
+        const history = {};
+        txs.filter(t => t.type !== 'transfer' && (!onlyManual || !t.recurringId)).forEach(t => {
+            const m = t.date.slice(0, 7);
+            if (!history[m]) history[m] = 0;
+            const amount = this.toBase(t.amount, t.currency, t.date);
+            history[m] += (t.type === 'income' ? amount : -amount);
+        });
+        return history;
+    }
+
+    //Patrimonio mes a mes desde los saldos iniciales, y proyeccion de los proximos meses
+    //La proyeccion suma las reglas recurrentes activas de cada mes futuro mas el promedio
+    //de lo registrado a mano en los ultimos 6 meses completos
+    buildNetWorthSeries(txs, accounts, rules, monthsAhead) {
+        const today = this.todayStr();
+        const thisMonth = today.slice(0, 7);
+        const history = this.getMonthlyNet(txs);
+        const firstMonth = Object.keys(history).sort()[0] || thisMonth;
+        const firstDate = `${firstMonth}-01`;
+        const opening = accounts.reduce((acc, a) => acc + this.toBase(a.openingBalance || 0, a.currency, firstDate), 0);
+
+        //Historia: todos los meses (aunque esten vacios) hasta el mes en curso
+        const labels = [];
+        const actual = [];
+        let balance = opening;
+        for (let m = firstMonth < thisMonth ? firstMonth : thisMonth; m <= thisMonth; m = this.shiftMonth(m, 1)) {
+            balance += history[m] || 0;
+            labels.push(m);
+            actual.push(balance);
+        }
+
+        //Promedio de lo no recurrente en los meses completos recientes
+        const manual = this.getMonthlyNet(txs, true);
+        const pastMonths = [];
+        for (let i = 1; i <= 6; i++) {
+            const m = this.shiftMonth(thisMonth, -i);
+            if (m < firstMonth) break;
+            pastMonths.push(m);
+        }
+        const average = pastMonths.length > 0 ? pastMonths.reduce((acc, m) => acc + (manual[m] || 0), 0) / pastMonths.length : 0;
+
+        //Proyeccion: arranca en el ultimo valor real para que la linea sea continua
+        const forecast = actual.map((v, i) => i === actual.length - 1 ? v : null);
+        const activeRules = rules.filter(r => !r.paused);
+        for (let i = 1; i <= monthsAhead; i++) {
+            const m = this.shiftMonth(thisMonth, i);
+            const end = this.endOfMonth(m);
+            const recurringNet = activeRules.reduce((acc, rule) => {
+                const currency = (accounts.find(a => a.id === rule.account) || {}).currency;
+                const dates = this.getOccurrencesUntil(rule, end).filter(d => d.startsWith(m) && !(rule.skipped || []).includes(d));
+                const amount = dates.reduce((sum, d) => sum + this.toBase(rule.amount, currency, d), 0);
+                return acc + (rule.type === 'income' ? amount : -amount);
+            }, 0);
+            balance += recurringNet + average;
+            labels.push(m);
+            actual.push(null);
+            forecast.push(balance);
+        }
+        return { labels, actual, forecast };
+    }
+
+    //Grafico de tendencia: patrimonio acumulado con proyeccion, o el neto de cada mes
+    renderTrendChart() {
+        const canvas = document.getElementById('chart-balance-trend');
+        if (!canvas || !this.trendData) return;
+        const { txs, accounts, rules } = this.trendData;
+        if (this.charts['chart-balance-trend']) this.charts['chart-balance-trend'].destroy();
+
+        let data, title;
+        if (this.trendMode === 'monthly') {
+            const history = this.getMonthlyNet(txs);
+            const sortedMonths = Object.keys(history).sort();
+            data = { labels: sortedMonths, datasets: [{ label: 'Historia', data: sortedMonths.map(m => history[m]), borderColor: '#a5d6ff', tension: 0.1 }] };
+            title = 'Crónica del Tiempo';
         } else {
-            console.warn(`⚠ No se encontró la fila para transacción ID: ${id}. La tabla puede necesitar ser recargada.`);
-            
-            // Si no encontramos la fila, recargar la tabla
-            setTimeout(() => {
-                this.renderTransactions();
-                // Intentar resaltar de nuevo después de recargar
-                setTimeout(() => {
-                    const rowAfterReload = document.querySelector(`#tx-list tr[data-transaction-id="${id}"]`);
-                    if (rowAfterReload) {
-                        rowAfterReload.classList.add('editing-transaction');
-                        this.editingTransactionRow = rowAfterReload;
-                        console.log(`✓ Fila resaltada después de recargar para ID: ${id}`);
-                    }
-                }, 100);
-            }, 100);
+            const series = this.buildNetWorthSeries(txs, accounts, rules, this.forecastMonths);
+            data = {
+                labels: series.labels,
+                datasets: [
+                    { label: `Patrimonio (${this.baseCurrency})`, data: series.actual, borderColor: '#a5d6ff', tension: 0.1 },
+                    //La proyeccion va punteada y en otro color para no confundirla con lo real
+                    { label: 'Proyección', data: series.forecast, borderColor: '#ffab70', borderDash: [6, 4], pointStyle: 'rectRot', tension: 0.1 }
+                ]
+            };
+            title = 'Reservas del Alma';
         }
+        this.charts['chart-balance-trend'] = new Chart(canvas, {
+            type: 'line',
+            data,
+            options: { plugins: { title: { display: true, text: title } }, maintainAspectRatio: false, spanGaps: false }
+        });
     }
 
+    //Cambiar el modo o el horizonte del grafico de tendencia
+    handleTrendChange() {
+        this.trendMode = document.getElementById('trend-mode').value;
+        this.forecastMonths = parseInt(document.getElementById('forecast-months').value);
+        document.getElementById('forecast-months').style.display = this.trendMode === 'networth' ? '' : 'none';
+        this.renderTrendChart();
+    }
 
-    // Remover resaltado de transacción
-    removeTransactionHighlight() {
-        // Remover clase de todas las filas
-        document.querySelectorAll('#tx-list tr').forEach(row => {
-            row.classList.remove('editing-transaction');
+    //Dona de gastos: agrupa por categoria padre y con un clic baja a sus subcategorias
+    renderCategoryChart() {
+        const canvas = document.getElementById('chart-categories');
+        if (!canvas || !this.categoryChartData) return;
+        const { expensesByCat, categories, previousExpensesByCat } = this.categoryChartData;
+        const byId = {};
+        categories.forEach(c => { byId[c.id] = c; });
+        //La categoria abierta pudo desaparecer (borrada, combinada, deshecha o por sincronizacion)
+        if (this.chartDrillParent && !byId[this.chartDrillParent]) this.chartDrillParent = null;
+        const drill = this.chartDrillParent;
+
+        //Acumular por categoria padre (o por subcategoria si estamos dentro de un padre)
+        const totals = new Map();
+        const previousTotals = new Map();
+        const accumulate = (target, key, amount) => {
+            const cat = byId[key];
+            const parentId = cat && cat.parentId && byId[cat.parentId] ? cat.parentId : null;
+            let id, label;
+            if (drill) {
+                if (!cat || (cat.id !== drill && parentId !== drill)) return;
+                id = cat.id;
+                label = cat.id === drill ? `${cat.name} (directo)` : cat.name;
+            } else {
+                id = parentId || (cat ? cat.id : null);
+                label = byId[id] ? byId[id].name : 'Sin categoría';
+            }
+            const entry = target.get(id) || { label, amount: 0 };
+            entry.amount += amount;
+            target.set(id, entry);
+            //Las categorias que solo tuvieron gasto en el periodo anterior tambien necesitan su porcion
+            if (target !== totals && !totals.has(id)) totals.set(id, { label, amount: 0 });
+        };
+        Object.entries(expensesByCat).forEach(([key, amount]) => accumulate(totals, key, amount));
+        if (previousExpensesByCat) Object.entries(previousExpensesByCat).forEach(([key, amount]) => accumulate(previousTotals, key, amount));
+        const ids = [...totals.keys()];
+        //Con la comparacion activa, el anillo interior es el periodo anterior
+        const datasets = [{ label: 'Periodo actual', data: ids.map(id => totals.get(id).amount), backgroundColor: this.colors }];
+        if (previousExpensesByCat) {
+            datasets.push({ label: 'Periodo anterior', data: ids.map(id => (previousTotals.get(id) || { amount: 0 }).amount), backgroundColor: this.colors, weight: 0.6 });
+        }
+
+        if (this.charts['chart-categories']) this.charts['chart-categories'].destroy();
+        this.charts['chart-categories'] = new Chart(canvas, {
+            type: 'doughnut',
+            data: {
+                labels: ids.map(id => totals.get(id).label),
+                datasets
+            },
+            options: {
+                plugins: { title: { display: true, text: drill ? `Distribución de Daño: ${byId[drill].name}` : 'Distribución de Daño' } },
+                maintainAspectRatio: false,
+                //Clic en una categoria con subcategorias: ver su detalle
+                onClick: (evt, elements) => {
+                    if (drill || elements.length === 0) return;
+                    const id = ids[elements[0].index];
+                    if (categories.some(c => c.parentId === id)) {
+                        this.chartDrillParent = id;
+                        this.renderCategoryChart();
+                    }
+                }
+            }
         });
-        this.editingTransactionRow = null;
-        
-        // Remover clase del formulario
-        const form = document.getElementById('tx-form');
-        if (form) form.classList.remove('editing-mode');
+
+        const backBtn = document.getElementById('chart-categories-back');
+        if (backBtn) backBtn.style.display = drill ? 'inline-block' : 'none';
     }
-    
-    // Cancelar edición de transacción
-    cancelEditTransaction() {
-        // Resetear estado de edición
-        this.editingTxId = null;
-        
-        // Resetear formulario
-        const form = document.getElementById('tx-form');
-        if (form) {
-            form.reset();
-            form.classList.remove('editing-mode');
+
+    //Volver de las subcategorias a la vista por categoria padre
+    drillUpCategoryChart() {
+        this.chartDrillParent = null;
+        this.renderCategoryChart();
+    }
+
+    //RESPALDO
+
+    //Descargar todas las tablas en un archivo JSON versionado
+    async exportBackup() {
+        const backup = await this.db.exportAll();
+        const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = this.createEl('a');
+        link.href = url;
+        link.download = `geofinance-respaldo-${new Date().toISOString().slice(0, 10)}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    //Validar el archivo elegido y restaurarlo en el modo seleccionado
+    async restoreBackup() {
+        const fileInput = document.getElementById('restore-file');
+        const file = fileInput.files[0];
+        if (!file) {
+            alert('Selecciona un archivo de respaldo.');
+            return;
         }
+
+        let data;
+        try {
+            data = JSON.parse(await file.text());
+        } catch (error) {
+            alert('El archivo no es un JSON valido.');
+            return;
+        }
+
+        const errors = this.db.validateBackup(data);
+        if (errors.length > 0) {
+            alert(`No se puede restaurar:\n- ${errors.slice(0, 10).join('\n- ')}`);
+            return;
+        }
+
+        this.db.upgradeBackup(data);
+        const mode = document.querySelector('input[name="restore-mode"]:checked').value;
+        const summary = Object.entries(data.stores).map(([name, records]) => `${name}: ${records.length}`).join(', ');
+        const warning = mode === 'replace'
+            ? 'Se BORRARAN todos los datos actuales y se reemplazaran por el respaldo.'
+            : 'Los datos del respaldo se agregaran a los actuales.';
+        if (!confirm(`${warning}\n\nContenido (${data.exportedAt || 'sin fecha'}): ${summary}\n\n¿Continuar?`)) return;
+
+        try {
+            const count = await this.db.restore(data, mode);
+            alert(`Respaldo restaurado: ${count} registros escritos.`);
+            fileInput.value = '';
+            this.renderHistoryButtons();
+            this.updateUI();
+        } catch (error) {
+            console.error('Error al restaurar:', error);
+            alert('La restauracion fallo. Los datos actuales no fueron modificados.');
+        }
+    }
+
+    //HISTORIAL (DESHACER / REHACER)
+
+    //Mostrar un aviso temporal con un boton opcional (ej: "Registro eliminado — Deshacer")
+    //duration en ms; con null el aviso queda hasta que se cierre o se use su accion
+    showToast(message, actionLabel = null, action = null, duration = 6000) {
+        const toast = document.getElementById('toast');
+        if (!toast) return;
+        document.getElementById('toast-message').textContent = message;
+        const button = document.getElementById('toast-action');
+        button.textContent = actionLabel || '';
+        button.style.display = action ? '' : 'none';
+        this.toastAction = action;
+        toast.classList.add('visible');
+        clearTimeout(this.toastTimer);
+        if (duration) this.toastTimer = setTimeout(() => this.hideToast(), duration);
+    }
+
+    hideToast() {
+        clearTimeout(this.toastTimer);
+        this.toastAction = null;
+        document.getElementById('toast').classList.remove('visible');
+    }
+
+    //Boton del aviso
+    runToastAction() {
+        const action = this.toastAction;
+        this.hideToast();
+        if (action) action();
+    }
+
+    //Habilitar los botones del encabezado segun lo que haya en el historial
+    renderHistoryButtons() {
+        const { undo, redo } = this.db.history;
+        const undoBtn = document.getElementById('undo-btn');
+        const redoBtn = document.getElementById('redo-btn');
+        if (!undoBtn || !redoBtn) return;
+        undoBtn.disabled = undo.length === 0;
+        redoBtn.disabled = redo.length === 0;
+        undoBtn.title = undo.length ? `Deshacer: ${undo[undo.length - 1].label} (Ctrl+Z)` : 'Nada que deshacer';
+        redoBtn.title = redo.length ? `Rehacer: ${redo[redo.length - 1].label} (Ctrl+Y)` : 'Nada que rehacer';
+    }
+
+    //Deshacer el ultimo cambio guardado
+    async undo() {
+        let command;
+        try {
+            command = await this.db.undo();
+        } catch (error) {
+            alert(`No se pudo deshacer: ${error && error.message ? error.message : error}`);
+            return;
+        }
+        if (!command) {
+            this.showToast('No hay nada que deshacer.');
+            return;
+        }
+        await this.refreshAfterHistory();
+        this.showToast(`Deshecho: ${command.label}`, 'Rehacer', () => this.redo());
+    }
+
+    //Volver a aplicar el ultimo cambio deshecho
+    async redo() {
+        let command;
+        try {
+            command = await this.db.redo();
+        } catch (error) {
+            alert(`No se pudo rehacer: ${error && error.message ? error.message : error}`);
+            return;
+        }
+        if (!command) {
+            this.showToast('No hay nada que rehacer.');
+            return;
+        }
+        await this.refreshAfterHistory();
+        this.showToast(`Rehecho: ${command.label}`, 'Deshacer', () => this.undo());
+    }
+
+    //Los registros seleccionados o las tasas en memoria pueden haber cambiado
+    async refreshAfterHistory() {
+        this.selectedTxIds.clear();
+        await this.loadCurrencySettings();
+        this.renderHistoryButtons();
+        if (this.attachmentTxId) this.renderAttachmentViewer();
+        this.updateUI();
+    }
+
+    //Atajos de teclado; dentro de un campo de texto se deja el deshacer propio del navegador
+    handleHistoryKeys(e) {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+        const target = e.target;
+        if (target && (['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable)) return;
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            this.undo();
+        } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+            e.preventDefault();
+            this.redo();
+        }
+    }
+
+    //NAVEGACION
+
+    navigate(sectionId) {
+        //Ocultar todas las secciones
+        document.querySelectorAll('.section').forEach(s => s.classList.remove('active'));
+
+        //Mostrar la deseada
+        document.getElementById(sectionId).classList.add('active');
+
+        //Actualizar botones del menu
+        document.querySelectorAll('.nav-btn').forEach(b => b.classList.remove('active'));
+
+        //Buscar el boton que llamo a esta funcion y activarlo visualmente
+        const activeBtn = document.querySelector(`button[onclick="app.navigate('${sectionId}')"]`);
+        if(activeBtn) activeBtn.classList.add('active');
         
-        // Restaurar texto del botón
-        const submitBtn = document.querySelector('#tx-form button[type="submit"]');
-        if (submitBtn) submitBtn.textContent = "Grabar";
-        
-        // Ocultar botón cancelar
-        const cancelBtn = document.getElementById('tx-cancel-btn');
-        if (cancelBtn) cancelBtn.style.display = 'none';
-        
-        // Remover resaltado
-        this.removeTransactionHighlight();
-        
-        console.log("Edición de transacción cancelada");
+        //Cambiar titulo
+        const titles = {
+            'dashboard': 'Mapa del Reino',
+            'transactions': 'Diario de Movimientos',
+            'categories': 'Categorias en Hallownest',
+            'budgets': 'Gestión de Presupuestos',
+            'goals': 'Metas de Ahorro',
+            'debts': 'Deudas y Préstamos',
+            'accounts': 'Bóvedas y Cuentas',
+            'settings': 'Ajustes del Reino'
+        };
+        const titleEl = document.getElementById('page-title');
+        if(titleEl) titleEl.innerText = titles[sectionId];
     }
+    
+    //SINCRONIZACION
 
-    //Eliminar transaccion
-    async deleteTransaction(id) {
-        if(confirm('¿Borrar este registro del diario?')) {
-            await this.db.delete('transactions', id);
-            this.updateUI();
+    //Cargar la configuracion; si hay servidor, sincronizar cada minuto y al recuperar la conexion
+    async initSync() {
+        await this.sync.load();
+        if (!this.sync.state.endpoint) return;
+        this.sync.adapter = new RestSyncAdapter(this.sync.state.endpoint, this.sync.state.token);
+        this.startSyncTimer();
+    }
+
+    startSyncTimer() {
+        clearInterval(this.syncInterval);
+        this.syncInterval = setInterval(() => this.syncNow(false), this.syncEvery);
+        if (!this.syncOnlineListener) {
+            this.syncOnlineListener = () => this.syncNow(false);
+            window.addEventListener('online', this.syncOnlineListener);
         }
     }
 
-    //PRESUPUESTOS
+    //Esperar unos segundos despues del ultimo cambio para enviar varios juntos
+    scheduleSync() {
+        if (!this.db.syncEnabled) return;
+        clearTimeout(this.syncTimer);
+        this.syncTimer = setTimeout(() => this.syncNow(false), this.syncDelay);
+    }
 
-    //Guuardar presupuesto
-    async saveBudget(e) {
+    //manual: lo pidio el usuario (se avisa el resultado y los errores); si no, los errores solo quedan en el estado
+    async syncNow(manual = true) {
+        if (!this.sync.adapter) {
+            if (manual) alert('Configura primero el servidor de sincronización.');
+            return;
+        }
+        try {
+            const result = await this.sync.sync();
+            if (result && result.pulled > 0) {
+                //Lo recibido pudo cambiar la moneda base o cualquier tabla; el historial ya se vacio
+                await this.loadCurrencySettings();
+                this.renderHistoryButtons();
+                this.updateUI();
+            }
+            if (result && result.conflicts > 0) {
+                this.showToast(`${result.conflicts} conflictos de sincronización`, 'Revisar', () => this.openConflicts(), null);
+            } else if (manual && result) {
+                this.showToast(`Sincronizado: ${result.pulled} recibidos, ${result.pushed} enviados`);
+            }
+        } catch (error) {
+            console.error('Error al sincronizar:', error);
+            if (manual) alert(`No se pudo sincronizar: ${error.message}`);
+        }
+        this.renderSyncSettings();
+    }
+
+    //Formulario, estado y boton de conflictos en Ajustes
+    async renderSyncSettings() {
+        const status = document.getElementById('sync-status');
+        if (!status) return;
+        const { deviceId, endpoint, token, lastSync, lastError } = this.sync.state;
+        const endpointInput = document.getElementById('sync-endpoint');
+        if (document.activeElement !== endpointInput) endpointInput.value = endpoint || '';
+        const tokenInput = document.getElementById('sync-token');
+        if (document.activeElement !== tokenInput) tokenInput.value = token || '';
+        document.getElementById('sync-disable-btn').style.display = endpoint ? '' : 'none';
+        document.getElementById('sync-now-btn').disabled = !endpoint;
+
+        const pending = endpoint ? await this.sync.pendingCount() : 0;
+        const parts = [`Dispositivo: ${deviceId || '-'}`];
+        if (!endpoint) parts.push('Sincronización desactivada');
+        else {
+            parts.push(`Pendientes de enviar: ${pending}`);
+            parts.push(lastSync ? `Última sincronización: ${new Date(lastSync).toLocaleString('es')}` : 'Aún no se sincronizó');
+        }
+        status.textContent = parts.join(' · ');
+        const error = document.getElementById('sync-error');
+        error.textContent = endpoint && lastError ? `Último error: ${lastError}` : '';
+
+        const conflicts = await this.db.getAll('syncConflicts');
+        const btn = document.getElementById('sync-conflicts-btn');
+        btn.textContent = `Conflictos (${conflicts.length})`;
+        btn.disabled = conflicts.length === 0;
+    }
+
+    //Guardar el servidor y activar la sincronizacion
+    async saveSyncSettings(e) {
         e.preventDefault();
-        const category = document.getElementById('budget-category').value;
-        const amount = parseFloat(document.getElementById('budget-amount').value);
-        const id = `${this.currentMonth}-${category}`;
-        const tx = this.db.db.transaction('budgets', 'readwrite');
-        tx.objectStore('budgets').put({ id, month: this.currentMonth, category, limit: amount });
-        tx.oncomplete = () => {
-            alert('presupuesto agregado');
-            this.updateUI();
-        };
+        const endpoint = document.getElementById('sync-endpoint').value.trim();
+        const token = document.getElementById('sync-token').value.trim();
+        try {
+            new URL(endpoint);
+        } catch (error) {
+            alert('La dirección del servidor no es válida (ej: http://localhost:8787).');
+            return;
+        }
+        const firstTime = !this.sync.state.endpoint;
+        if (firstTime && !confirm('Se enviarán todos los datos de este navegador al servidor y se combinarán con los de los otros dispositivos. ¿Continuar?')) return;
+        await this.sync.enable(endpoint, token);
+        this.sync.adapter = new RestSyncAdapter(endpoint, token);
+        this.startSyncTimer();
+        await this.syncNow(true);
     }
 
-    //Renderizar presupuestos
-    async renderBudgets() {
-        const budgets = await this.db.getAll('budgets');
-        const transactions = await this.db.getAll('transactions');
-        
-        const monthBudgets = budgets.filter(b => b.month === this.currentMonth);
-        
-        const expensesByCategory = {};
-        transactions.forEach(t => {
-            if (t.type === 'expense' && t.date.startsWith(this.currentMonth)) {
-                expensesByCategory[t.category] = (expensesByCategory[t.category] || 0) + t.amount;
-            }
-        });
+    async disableSync() {
+        if (!confirm('¿Desactivar la sincronización? Los cambios que aún no se enviaron se descartan; los datos locales se conservan.')) return;
+        clearInterval(this.syncInterval);
+        clearTimeout(this.syncTimer);
+        this.sync.adapter = null;
+        await this.sync.disable();
+        this.renderSyncSettings();
+    }
 
-        const tbody = document.getElementById('budget-list');
-        if(!tbody) return;
-        
-        //Limpieza segura
-        tbody.replaceChildren();
+    //REVISION DE CONFLICTOS
 
-        monthBudgets.forEach(b => {
-            const real = expensesByCategory[b.category] || 0;
-            const diff = b.limit - real;
-            const percent = b.limit > 0 ? (real / b.limit) * 100 : 0;
-            
-            const row = this.createEl('tr');
+    openConflicts() {
+        this.renderConflicts();
+        document.getElementById('conflict-dialog').showModal();
+    }
 
-            //Categoria
-            row.appendChild(this.createEl('td', '', b.category));
-            row.appendChild(this.createEl('td', '', `${b.limit.toFixed(2)}`));
-            row.appendChild(this.createEl('td', '', `${real.toFixed(2)}`));
-            
-            //Diferencia
-            const tdDiff = this.createEl('td', diff < 0 ? 'text-danger' : 'text-success');
-            tdDiff.textContent = `${diff.toFixed(2)}`;
-            row.appendChild(tdDiff);
+    closeConflicts() {
+        document.getElementById('conflict-dialog').close();
+    }
 
-            //Estado (Porcentaje)
-            const tdStatus = this.createEl('td');
-            let statusClass = 'text-success';
-            if (percent > 80) statusClass = 'text-warning';
-            if (percent > 100) statusClass = 'text-danger';
-            
-            const spanStatus = this.createEl('span', statusClass, `${percent.toFixed(1)}%`);
-            spanStatus.style.fontWeight = 'bold';
-            tdStatus.appendChild(spanStatus);
-            row.appendChild(tdStatus);
+    //Texto corto de un valor para la tabla de diferencias
+    describeSyncValue(value) {
+        if (value === undefined || value === null || value === '') return '-';
+        if (value instanceof Blob) return `[archivo ${this.formatSize(value.size)}]`;
+        if (typeof value === 'object') return JSON.stringify(value);
+        return String(value);
+    }
 
-            //Accion (Borrar)
-            const tdAction = this.createEl('td');
-            const btnDel = this.createEl('button', 'btn btn-danger');
-            btnDel.style.padding = '0.25rem 0.5rem';
-            btnDel.style.fontSize = '0.8rem';
-            btnDel.onclick = () => this.deleteBudget(b.id);
-            btnDel.appendChild(this.createEl('i', 'fas fa-trash'));
-            
-            tdAction.appendChild(btnDel);
-            row.appendChild(tdAction);
+    //Cada conflicto muestra solo los campos que difieren entre las dos versiones
+    async renderConflicts() {
+        const list = document.getElementById('conflict-list');
+        if (!list) return;
+        const conflicts = await this.db.getAll('syncConflicts');
+        const storeLabels = {
+            transactions: 'Registro', categories: 'Categoría', accounts: 'Cuenta', budgets: 'Presupuesto',
+            budgetTemplates: 'Plantilla', recurring: 'Recurrente', settings: 'Ajuste', rates: 'Tasa',
+            attachments: 'Comprobante', categoryRules: 'Regla', goals: 'Meta', debts: 'Deuda'
+        };
+        list.replaceChildren();
+        if (conflicts.length === 0) {
+            list.appendChild(this.createEl('li', 'alert-empty', 'Sin conflictos pendientes.'));
+            return;
+        }
+        conflicts.forEach(c => {
+            const item = this.createEl('li', 'conflict-item');
+            const sample = c.local || c.remote || {};
+            const name = sample.name || sample.desc || sample.key || sample.date || c.key;
+            item.appendChild(this.createEl('strong', '', `${storeLabels[c.store] || c.store}: ${name}`));
+            const localWhen = c.localAt ? new Date(c.localAt).toLocaleString('es') : '-';
+            const remoteWhen = new Date(c.remoteAt).toLocaleString('es');
+            item.appendChild(this.createEl('span', '', c.winner === 'remote'
+                ? `Quedó la versión del otro dispositivo (${remoteWhen}); la de este era del ${localWhen}.`
+                : `Quedó la versión de este dispositivo (${localWhen}); la del otro era del ${remoteWhen}.`));
 
-            tbody.appendChild(row);
+            const table = this.createEl('table', 'data-table conflict-table');
+            const headRow = this.createEl('tr');
+            ['Campo', 'Este dispositivo', 'Otro dispositivo'].forEach(h => headRow.appendChild(this.createEl('th', '', h)));
+            const thead = this.createEl('thead');
+            thead.appendChild(headRow);
+            table.appendChild(thead);
+            const tbody = this.createEl('tbody');
+            if (!c.local || !c.remote) {
+                const tr = this.createEl('tr');
+                tr.appendChild(this.createEl('td', '', 'Registro'));
+                tr.appendChild(this.createEl('td', '', c.local ? 'Existe' : 'Borrado'));
+                tr.appendChild(this.createEl('td', '', c.remote ? 'Existe' : 'Borrado'));
+                tbody.appendChild(tr);
+            } else {
+                const fields = [...new Set([...Object.keys(c.local), ...Object.keys(c.remote)])].filter(f => f !== 'id');
+                fields.filter(f => this.describeSyncValue(c.local[f]) !== this.describeSyncValue(c.remote[f])).forEach(f => {
+                    const tr = this.createEl('tr');
+                    tr.appendChild(this.createEl('td', '', f));
+                    tr.appendChild(this.createEl('td', c.winner === 'local' ? 'text-success' : '', this.describeSyncValue(c.local[f])));
+                    tr.appendChild(this.createEl('td', c.winner === 'remote' ? 'text-success' : '', this.describeSyncValue(c.remote[f])));
+                    tbody.appendChild(tr);
+                });
+            }
+            table.appendChild(tbody);
+            item.appendChild(table);
+
+            const actions = this.createEl('div', 'goal-actions');
+            const btnKeep = this.createEl('button', 'btn btn-primary', 'Mantener');
+            btnKeep.onclick = () => this.resolveConflict(c.id, false);
+            const btnSwap = this.createEl('button', 'btn btn-danger', 'Usar la otra versión');
+            btnSwap.onclick = () => this.resolveConflict(c.id, true);
+            actions.appendChild(btnKeep);
+            actions.appendChild(btnSwap);
+            item.appendChild(actions);
+            list.appendChild(item);
         });
     }
 
-    //Eliminar presupuesto
-    async deleteBudget(id) {
-        if(confirm('¿Desequipar este presupuesto?')) {
-            await this.db.delete('budgets', id);
-            this.updateUI();
+    //Cerrar un conflicto; con useOther se guarda la version que perdio (como un cambio nuevo que se sincroniza)
+    async resolveConflict(id, useOther) {
+        const conflict = (await this.db.getAll('syncConflicts')).find(c => c.id === id);
+        if (!conflict) return;
+        if (useOther) {
+            const loser = conflict.winner === 'remote' ? conflict.local : conflict.remote;
+            const keyPath = this.db.db.transaction(conflict.store, 'readonly').objectStore(conflict.store).keyPath;
+            await this.db.command('Conflicto resuelto con la otra versión', () => loser
+                ? this.db.put(conflict.store, { ...loser, [keyPath]: conflict.key })
+                : this.db.delete(conflict.store, conflict.key));
         }
+        await this.db.delete('syncConflicts', id);
+        await this.renderConflicts();
+        if (useOther) this.updateUI();
+        else this.renderSyncSettings();
     }
 
-    async updateDashboard() {
+    async clearConflicts() {
+        const conflicts = await this.db.getAll('syncConflicts');
+        await Promise.all(conflicts.map(c => this.db.delete('syncConflicts', c.id)));
+        this.renderConflicts();
+        this.renderSyncSettings();
+    }
+
+    //MODO SIN CONEXION (PWA)
+
+    //Registrar el service worker y avisar cuando haya una version nueva esperando
+    //Abriendo index.html como archivo (file://) no hay service worker: la app funciona igual, sin cache
+    async registerServiceWorker() {
+        if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+        try {
+            const registration = await navigator.serviceWorker.register('sw.js');
+            //Una version que ya estaba esperando de una visita anterior
+            if (registration.waiting && navigator.serviceWorker.controller) this.promptUpdate(registration.waiting);
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                worker.addEventListener('statechange', () => {
+                    //Sin controller es la primera instalacion, no una actualizacion
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) this.promptUpdate(worker);
+                });
+            });
+            //Cuando el worker nuevo toma el control se recarga para usar los archivos nuevos
+            //Solo si el usuario acepto la actualizacion: en la primera visita el worker tambien toma el control
+            let reloading = false;
+            navigator.serviceWorker.addEventListener('controllerchange', () => {
+                if (reloading || !this.updateAccepted) return;
+                reloading = true;
+                location.reload();
+            });
+        } catch (error) {
+            console.error('No se pudo registrar el service worker:', error);
+        }
+    }
+
+    //Aviso fijo con la opcion de recargar en la version nueva
+    promptUpdate(worker) {
+        this.showToast('Hay una nueva versión de GeoFinance', 'Actualizar', () => {
+            this.updateAccepted = true;
+            worker.postMessage({ type: 'SKIP_WAITING' });
+        }, null);
+    }
+
+    //REPORTE IMPRIMIBLE
+
+    //Armar el reporte del periodo del dashboard (mes o rango) y abrir el dialogo de impresion
+    //Desde ahi el navegador lo puede guardar como PDF
+    async generateReport() {
+        const report = document.getElementById('print-report');
+        if (!report) return;
         const txs = await this.db.getAll('transactions');
         const budgets = await this.db.getAll('budgets');
-        const monthTxs = txs.filter(t => t.date.startsWith(this.currentMonth));
-        
-        let income = 0, expense = 0;
-        const expensesByCat = {};
-        
-        monthTxs.forEach(t => {
-            if(t.type === 'income') income += t.amount;
-            else {
-                expense += t.amount;
-                expensesByCat[t.category] = (expensesByCat[t.category] || 0) + t.amount;
+        const categories = await this.db.getAll('categories');
+        const categoryNames = await this.getCategoryNames();
+        const range = this.getPeriodRange();
+        const { periodTxs, income, expense } = this.summarizeRange(txs, range);
+        const previous = this.comparePrevious ? this.summarizeRange(txs, this.getPreviousRange(range)) : null;
+        const periodMonths = this.getRangeMonths(range);
+        const periodBudgets = budgets.filter(b => periodMonths.includes(b.month));
+        const totalBudget = periodBudgets.reduce((acc, b) => acc + b.limit, 0);
+
+        //Tabla simple: encabezados y filas de celdas (texto o {text, className})
+        const buildTable = (headers, rows) => {
+            const table = this.createEl('table', 'report-table');
+            const headRow = this.createEl('tr');
+            headers.forEach(h => headRow.appendChild(this.createEl('th', '', h)));
+            const thead = this.createEl('thead');
+            thead.appendChild(headRow);
+            table.appendChild(thead);
+            const tbody = this.createEl('tbody');
+            rows.forEach(cells => {
+                const tr = this.createEl('tr');
+                cells.forEach(c => tr.appendChild(typeof c === 'object' ? this.createEl('td', c.className, c.text) : this.createEl('td', '', String(c))));
+                tbody.appendChild(tr);
+            });
+            table.appendChild(tbody);
+            return table;
+        };
+
+        report.replaceChildren();
+        report.appendChild(this.createEl('h1', '', 'Reporte Financiero'));
+        report.appendChild(this.createEl('p', 'report-meta', `Periodo: ${range.from} → ${range.to} · Moneda base: ${this.baseCurrency} · Generado el ${new Date().toLocaleString('es')}`));
+
+        //KPIs (los mismos del dashboard)
+        const kpis = this.createEl('div', 'report-kpis');
+        [
+            ['Ingresos', this.formatMoney(income), previous ? previous.income : null, income],
+            ['Gastos', this.formatMoney(expense), previous ? previous.expense : null, expense],
+            ['Balance', this.formatMoney(income - expense), previous ? previous.income - previous.expense : null, income - expense],
+            ['Nivel de Gasto', `${(totalBudget > 0 ? (expense / totalBudget) * 100 : 0).toFixed(1)}%`, null, null]
+        ].forEach(([title, value, before, current]) => {
+            const box = this.createEl('div', 'report-kpi');
+            box.appendChild(this.createEl('div', 'report-kpi-title', title));
+            box.appendChild(this.createEl('div', 'report-kpi-value', value));
+            if (before !== null) {
+                const diff = current - before;
+                box.appendChild(this.createEl('div', 'report-kpi-delta', `${diff >= 0 ? '+' : ''}${this.formatMoney(diff)} vs. periodo anterior`));
             }
+            kpis.appendChild(box);
         });
+        report.appendChild(kpis);
 
-        //KPIs
-        if(document.getElementById('kpi-income')) {
-            document.getElementById('kpi-income').innerText = `${income.toFixed(2)}`;
-            document.getElementById('kpi-expense').innerText = `${expense.toFixed(2)}`;
-            document.getElementById('kpi-balance').innerText = `${(income - expense).toFixed(2)}`;
-            
-            const monthBudgets = budgets.filter(b => b.month === this.currentMonth);
-            const totalBudget = monthBudgets.reduce((acc, b) => acc + b.limit, 0);
-            const budgetStatus = totalBudget > 0 ? (expense / totalBudget) * 100 : 0;
-            document.getElementById('kpi-budget-status').innerText = `${budgetStatus.toFixed(1)}%`;
+        //Presupuestos de cada mes del periodo
+        report.appendChild(this.createEl('h2', '', 'Presupuestos'));
+        const budgetRows = this.getBudgetRows(periodBudgets.sort((a, b) => a.month.localeCompare(b.month)), budgets, txs, categories, {});
+        if (budgetRows.length === 0) {
+            report.appendChild(this.createEl('p', 'report-meta', 'Sin presupuestos en este periodo.'));
+        } else {
+            report.appendChild(buildTable(['Mes', 'Categoría', 'Límite', 'Arrastre', 'Usado', 'Restante', 'Estado'], budgetRows.map(r => [
+                r.budget.month,
+                categoryNames[r.budget.categoryId] || '-',
+                this.formatMoney(r.budget.limit),
+                r.carry === 0 ? '-' : `${r.carry > 0 ? '+' : ''}${this.formatMoney(r.carry)}`,
+                this.formatMoney(r.real),
+                { text: this.formatMoney(r.diff), className: r.diff < 0 ? 'text-danger' : '' },
+                { text: `${r.percent.toFixed(1)}%`, className: r.statusClass }
+            ])));
+        }
 
-        //Renderizar Transacciones Recientes (ultimas 5) ---
-        const recentTable = document.getElementById('dashboard-recent-tx');
-        if (recentTable) {
-            recentTable.replaceChildren();
-            //Ordenar por fecha desc y tomar 5
-            const recent = [...monthTxs].sort((a, b) => new Date(b.date) - new Date(a.date)).slice(0, 5);
-            recent.forEach(t => {
-                const row = this.createEl('tr');
-                row.appendChild(this.createEl('td', '', t.date));
-                row.appendChild(this.createEl('td', '', t.category));
-                const tdAmount = this.createEl('td', t.type === 'income' ? 'text-success' : 'text-danger');
-                tdAmount.textContent = `${t.amount.toFixed(2)}`;
-                row.appendChild(tdAmount);
-                recentTable.appendChild(row);
+        //Graficos del dashboard como imagen (muestran el mismo periodo)
+        const charts = Object.entries(this.charts || {}).filter(([id, chart]) => chart && document.getElementById(id));
+        if (charts.length > 0) {
+            report.appendChild(this.createEl('h2', '', 'Gráficos'));
+            const grid = this.createEl('div', 'report-charts');
+            charts.forEach(([id, chart]) => {
+                const img = this.createEl('img', 'report-chart');
+                img.src = chart.toBase64Image();
+                img.alt = chart.options?.plugins?.title?.text || id;
+                grid.appendChild(img);
             });
+            report.appendChild(grid);
         }
+
+        //Mayores gastos del periodo (en moneda base)
+        report.appendChild(this.createEl('h2', '', 'Mayores Gastos'));
+        const topExpenses = periodTxs.filter(t => t.type === 'expense')
+            .map(t => ({ t, base: this.toBase(t.amount, t.currency, t.date) }))
+            .sort((a, b) => b.base - a.base)
+            .slice(0, 10);
+        if (topExpenses.length === 0) {
+            report.appendChild(this.createEl('p', 'report-meta', 'Sin gastos en este periodo.'));
+        } else {
+            report.appendChild(buildTable(['Fecha', 'Categoría', 'Notas', 'Cantidad'], topExpenses.map(({ t, base }) => [
+                t.date,
+                this.getCategoryLabel(t, categoryNames),
+                t.desc || '-',
+                t.currency === this.baseCurrency ? this.formatMoney(base) : `${this.formatMoney(t.amount, t.currency)} (${this.formatMoney(base)})`
+            ])));
         }
 
-        this.renderCharts(monthTxs, expensesByCat, income, expense, budgets, txs);
+        window.print();
     }
 
-    //Renderizar graficos
-    renderCharts(monthTxs, expensesByCat, income, expense, allBudgets, allTxs) {
-        if (!this.charts) this.charts = {};
-        const destroyChart = (id) => { if (this.charts[id]) this.charts[id].destroy(); };
+    //METAS DE AHORRO
 
-        //Dona (Categorias)
-        if(document.getElementById('chart-categories')) {
-            destroyChart('chart-categories');
-            this.charts['chart-categories'] = new Chart(document.getElementById('chart-categories'), {
-                type: 'doughnut',
-                data: {
-                    labels: Object.keys(expensesByCat),
-                    datasets: [{ data: Object.values(expensesByCat), backgroundColor: this.colors }]
-                },
-                options: { plugins: { title: { display: true, text: 'Distribución de Daño' } }, maintainAspectRatio: false }
+    //Meses que quedan hasta la fecha limite, contando el actual (0 si ya vencio)
+    monthsUntil(deadline) {
+        const today = this.todayStr();
+        if (deadline < today) return 0;
+        const [ty, tm] = today.split('-').map(Number);
+        const [dy, dm] = deadline.split('-').map(Number);
+        return (dy - ty) * 12 + (dm - tm) + 1;
+    }
+
+    //Ahorrado, faltante y ahorro mensual requerido de una meta (en la moneda de la meta)
+    //Ingresos y transferencias vinculados suman; un gasto vinculado es un retiro y resta
+    getGoalProgress(goal, contributions) {
+        const saved = contributions.reduce((acc, t) => acc + this.getGoalSign(t) * this.convertAmount(t.amount, t.currency, goal.currency, t.date), 0);
+        const remaining = Math.max(0, goal.target - saved);
+        const monthsLeft = this.monthsUntil(goal.deadline);
+        return {
+            saved,
+            remaining,
+            percent: goal.target > 0 ? Math.max(0, Math.min(100, (saved / goal.target) * 100)) : 0,
+            monthsLeft,
+            monthly: remaining > 0 && monthsLeft > 0 ? remaining / monthsLeft : 0
+        };
+    }
+
+    //Signo de un registro vinculado a una meta: los gastos son retiros
+    getGoalSign(t) {
+        return t.type === 'expense' ? -1 : 1;
+    }
+
+    //Tarjetas de metas, select del formulario de registros y KPI del dashboard
+    async renderGoals() {
+        const goals = (await this.db.getAll('goals')).sort((a, b) => a.deadline.localeCompare(b.deadline));
+        const transactions = await this.db.getAll('transactions');
+        const categoryNames = await this.getCategoryNames();
+        const byGoal = {};
+        transactions.filter(t => t.goalId).forEach(t => { (byGoal[t.goalId] = byGoal[t.goalId] || []).push(t); });
+        const progress = {};
+        goals.forEach(g => { progress[g.id] = this.getGoalProgress(g, byGoal[g.id] || []); });
+
+        //Select de aportes del formulario de registros
+        const select = document.getElementById('tx-goal');
+        if (select) {
+            const current = select.value;
+            select.replaceChildren();
+            const none = this.createEl('option', '', 'Sin meta de ahorro');
+            none.value = '';
+            select.appendChild(none);
+            goals.forEach(g => {
+                const opt = this.createEl('option', '', `Meta: ${g.name}`);
+                opt.value = g.id;
+                select.appendChild(opt);
             });
+            select.value = goals.some(g => String(g.id) === current) ? current : '';
         }
 
-        //Barras (Balance)
-        if(document.getElementById('chart-distribution')) {
-            destroyChart('chart-distribution');
-            this.charts['chart-distribution'] = new Chart(document.getElementById('chart-distribution'), {
-                type: 'bar',
-                data: { labels: ['Alma', 'Daño'], datasets: [{ label: 'Geos', data: [income, expense], backgroundColor: ['#a5d6ff', '#ffa657'] }] },
-                options: { plugins: { title: { display: true, text: 'Equilibrio del Vacío' } }, maintainAspectRatio: false }
-            });
+        //KPI: avance total y ahorro mensual requerido de las metas pendientes (en moneda base)
+        const kpi = document.getElementById('kpi-goals');
+        if (kpi) {
+            const today = this.todayStr();
+            const pending = goals.filter(g => progress[g.id].remaining > 0);
+            const target = goals.reduce((acc, g) => acc + this.toBase(g.target, g.currency, today), 0);
+            const saved = goals.reduce((acc, g) => acc + this.toBase(Math.max(0, Math.min(progress[g.id].saved, g.target)), g.currency, today), 0);
+            const monthly = pending.reduce((acc, g) => acc + this.toBase(progress[g.id].monthly, g.currency, today), 0);
+            kpi.innerText = target > 0 ? `${((saved / target) * 100).toFixed(1)}%` : '-';
+            document.getElementById('kpi-goals-detail').textContent = goals.length === 0
+                ? 'Sin metas'
+                : `${pending.length} pendientes · ${this.formatMoney(monthly)}/mes`;
         }
-        
-        //Linea (Tendencia)
-        const history = {};
-        allTxs.forEach(t => {
-            const m = t.date.slice(0, 7);
-            if (!history[m]) history[m] = 0;
-            history[m] += (t.type === 'income' ? t.amount : -t.amount);
+
+        const list = document.getElementById('goal-list');
+        if (!list) return;
+        list.replaceChildren();
+        if (goals.length === 0) {
+            list.appendChild(this.createEl('p', 'goal-empty', 'Aún no hay metas. Define una arriba y vincula tus aportes desde el formulario de registros.'));
+        }
+        goals.forEach(goal => {
+            const p = progress[goal.id];
+            const contributions = (byGoal[goal.id] || []).sort((a, b) => b.date.localeCompare(a.date));
+            const card = this.createEl('div', 'card goal-card');
+            const header = this.createEl('div', 'goal-header');
+            header.appendChild(this.createEl('h4', '', goal.name));
+            header.appendChild(this.createEl('span', 'goal-deadline', `Límite: ${goal.deadline}`));
+            card.appendChild(header);
+
+            card.appendChild(this.createEl('div', 'goal-amounts', `${this.formatMoney(p.saved, goal.currency)} de ${this.formatMoney(goal.target, goal.currency)} (${p.percent.toFixed(1)}%)`));
+            const bar = this.createEl('div', 'goal-bar');
+            const fill = this.createEl('div', p.remaining === 0 ? 'goal-bar-fill goal-complete' : 'goal-bar-fill');
+            fill.style.width = `${p.percent}%`;
+            bar.appendChild(fill);
+            card.appendChild(bar);
+
+            let status;
+            if (p.remaining === 0) status = '¡Meta cumplida!';
+            else if (p.monthsLeft === 0) status = `Vencida: faltaron ${this.formatMoney(p.remaining, goal.currency)}`;
+            else status = `Faltan ${this.formatMoney(p.remaining, goal.currency)} · ${p.monthsLeft} ${p.monthsLeft === 1 ? 'mes' : 'meses'} · Ahorro requerido: ${this.formatMoney(p.monthly, goal.currency)}/mes`;
+            card.appendChild(this.createEl('p', p.monthsLeft === 0 && p.remaining > 0 ? 'goal-status text-danger' : 'goal-status', status));
+
+            const actions = this.createEl('div', 'goal-actions');
+            const btnContribute = this.createEl('button', 'btn btn-primary', 'Aportar');
+            btnContribute.onclick = () => this.contributeToGoal(goal.id);
+            const btnList = this.createEl('button', 'btn btn-primary', `Aportes (${contributions.length})`);
+            btnList.onclick = () => this.toggleGoalContributions(goal.id);
+            const btnEdit = this.createEl('button', 'btn btn-primary');
+            btnEdit.onclick = () => this.prepareEditGoal(goal);
+            btnEdit.appendChild(this.createEl('i', 'fas fa-edit'));
+            const btnDel = this.createEl('button', 'btn btn-danger');
+            btnDel.onclick = () => this.deleteGoal(goal.id);
+            btnDel.appendChild(this.createEl('i', 'fas fa-trash'));
+            [btnContribute, btnList, btnEdit, btnDel].forEach(b => actions.appendChild(b));
+            card.appendChild(actions);
+
+            //Lista de aportes desplegable
+            if (this.openGoalId === goal.id) {
+                const ul = this.createEl('ul', 'goal-contributions');
+                if (contributions.length === 0) ul.appendChild(this.createEl('li', '', 'Sin aportes todavía.'));
+                contributions.forEach(t => {
+                    const label = t.type === 'transfer' ? 'Transferencia' : this.getCategoryLabel(t, categoryNames);
+                    ul.appendChild(this.createEl('li', '', `${t.date} · ${label} · ${t.desc || '-'} · ${this.formatMoney(this.getGoalSign(t) * t.amount, t.currency)}`));
+                });
+                card.appendChild(ul);
+            }
+            list.appendChild(card);
         });
-        const sortedMonths = Object.keys(history).sort();
+    }
 
-        if(document.getElementById('chart-balance-trend')) {
-            destroyChart('chart-balance-trend');
-            this.charts['chart-balance-trend'] = new Chart(document.getElementById('chart-balance-trend'), {
-                type: 'line',
-                data: { labels: sortedMonths, datasets: [{ label: 'Historia', data: sortedMonths.map(m => history[m]), borderColor: '#a5d6ff', tension: 0.1 }] },
-                options: { plugins: { title: { display: true, text: 'Crónica del Tiempo' } }, maintainAspectRatio: false }
-            });
+    //Crear o actualizar una meta
+    async saveGoal(e) {
+        e.preventDefault();
+        const idInput = document.getElementById('goal-id');
+        const goal = {
+            name: document.getElementById('goal-name').value.trim(),
+            target: parseFloat(document.getElementById('goal-target').value),
+            currency: document.getElementById('goal-currency').value,
+            deadline: document.getElementById('goal-deadline').value
+        };
+        if (!goal.name || !(goal.target > 0) || !goal.deadline) return;
+
+        if (idInput.value) {
+            await this.db.command(`Meta "${goal.name}" editada`, () => this.db.put('goals', { id: parseInt(idInput.value), ...goal }));
+        } else {
+            await this.db.command(`Meta "${goal.name}" creada`, () => this.db.add('goals', goal));
         }
+        this.resetGoalForm();
+        this.updateUI();
+    }
 
-        //Barras Agrupadas (Presupuesto)
-        const monthBudgets = allBudgets.filter(b => b.month === this.currentMonth);
-        const labels = monthBudgets.map(b => b.category);
-        
-        if(document.getElementById('chart-budget-vs-real')) {
-            destroyChart('chart-budget-vs-real');
-            this.charts['chart-budget-vs-real'] = new Chart(document.getElementById('chart-budget-vs-real'), {
-                type: 'bar',
-                data: {
-                    labels: labels,
-                    datasets: [
-                        { label: 'Límite', data: monthBudgets.map(b => b.limit), backgroundColor: '#30363d' },
-                        { label: 'Actual', data: monthBudgets.map(b => expensesByCat[b.category] || 0), backgroundColor: '#ffa657' }
-                    ]
-                },
-                options: { plugins: { title: { display: true, text: 'Sobrecarga de presupuestos' } }, maintainAspectRatio: false }
+    //Cargar una meta en el formulario
+    prepareEditGoal(goal) {
+        document.getElementById('goal-id').value = goal.id;
+        document.getElementById('goal-name').value = goal.name;
+        document.getElementById('goal-target').value = goal.target;
+        document.getElementById('goal-currency').value = goal.currency;
+        document.getElementById('goal-deadline').value = goal.deadline;
+        document.getElementById('goal-submit-btn').textContent = 'Actualizar';
+        document.getElementById('goal-cancel-btn').style.display = 'inline-block';
+        document.getElementById('goal-name').focus();
+    }
+
+    resetGoalForm() {
+        document.getElementById('goal-form').reset();
+        document.getElementById('goal-id').value = '';
+        document.getElementById('goal-currency').value = this.baseCurrency;
+        document.getElementById('goal-submit-btn').textContent = 'Crear';
+        document.getElementById('goal-cancel-btn').style.display = 'none';
+    }
+
+    //Eliminar una meta: sus aportes se conservan en el diario, solo se desvinculan
+    async deleteGoal(id) {
+        if (!confirm('¿Eliminar esta meta? Los registros aportados se conservan en el diario.')) return;
+        await this.db.command('Meta eliminada', () => new Promise((resolve) => {
+            const tx = this.db.transaction(['goals', 'transactions'], 'readwrite');
+            const txStore = tx.objectStore('transactions');
+            const request = txStore.index('goal').getAll(id);
+            request.onsuccess = () => request.result.forEach(t => txStore.put({ ...t, goalId: null }));
+            tx.objectStore('goals').delete(id);
+            tx.oncomplete = () => resolve(true);
+        }));
+        if (this.openGoalId === id) this.openGoalId = null;
+        this.updateUI();
+    }
+
+    //Ir al formulario de registros con la meta ya elegida
+    contributeToGoal(id) {
+        if (this.editingTxId) this.cancelEditTransaction();
+        this.navigate('transactions');
+        document.getElementById('tx-goal').value = id;
+        document.getElementById('tx-form').scrollIntoView({ behavior: 'smooth' });
+        document.getElementById('tx-amount').focus();
+    }
+
+    toggleGoalContributions(id) {
+        this.openGoalId = this.openGoalId === id ? null : id;
+        this.renderGoals();
+    }
+
+    //DEUDAS Y PRESTAMOS
+
+    //Cuota, saldo actual y pagos de una deuda (montos en la moneda de la deuda)
+    getDebtStatus(debt, payments) {
+        const converted = payments.map(t => ({ date: t.date, amount: this.convertAmount(t.amount, t.currency, debt.currency, t.date) }));
+        const payment = DebtPlanner.payment(debt.principal, debt.rate, debt.term);
+        const { balance, interestPaid, count, next } = DebtPlanner.replay(debt.principal, debt.rate, converted, debt.startDate, debt.paymentDay, this.todayStr().slice(0, 7));
+        const paid = converted.reduce((acc, p) => acc + p.amount, 0);
+        //Lo que falta se proyecta con la misma cuota desde la primera cuota sin cobrar
+        const remaining = DebtPlanner.schedule(balance, debt.rate, payment, debt.startDate, debt.paymentDay, next);
+        return { payment, balance, interestPaid, paid, count, remaining };
+    }
+
+    //Tarjetas de deudas, select del formulario de registros y comparacion de estrategias
+    async renderDebts() {
+        const debts = (await this.db.getAll('debts')).sort((a, b) => a.name.localeCompare(b.name));
+        const transactions = await this.db.getAll('transactions');
+        const byDebt = {};
+        transactions.filter(t => t.debtId).forEach(t => { (byDebt[t.debtId] = byDebt[t.debtId] || []).push(t); });
+        const status = {};
+        debts.forEach(d => { status[d.id] = this.getDebtStatus(d, byDebt[d.id] || []); });
+
+        //Select de pagos del formulario de registros
+        const select = document.getElementById('tx-debt');
+        if (select) {
+            const current = select.value;
+            select.replaceChildren();
+            const none = this.createEl('option', '', 'Sin deuda');
+            none.value = '';
+            select.appendChild(none);
+            debts.forEach(d => {
+                const opt = this.createEl('option', '', `Pago: ${d.name}`);
+                opt.value = d.id;
+                select.appendChild(opt);
             });
+            select.value = debts.some(d => String(d.id) === current) ? current : '';
         }
-    }
 
-    //NAVEGACION
+        this.renderDebtStrategies(debts, status);
 
-    navigate(sectionId) {
-        //Ocultar todas las secciones
-        document.querySelectorAll('.section').forEach(s => s.classList.remove('active'));
+        const list = document.getElementById('debt-list');
+        if (!list) return;
+        list.replaceChildren();
+        if (debts.length === 0) {
+            list.appendChild(this.createEl('p', 'goal-empty', 'No hay deudas registradas. Agrega un préstamo o tarjeta arriba y vincula sus pagos desde el formulario de registros.'));
+        }
+        debts.forEach(debt => {
+            const s = status[debt.id];
+            const percent = debt.principal > 0 ? Math.min(100, ((debt.principal - s.balance) / debt.principal) * 100) : 100;
+            const card = this.createEl('div', 'card goal-card');
+            const header = this.createEl('div', 'goal-header');
+            header.appendChild(this.createEl('h4', '', debt.name));
+            header.appendChild(this.createEl('span', 'goal-deadline', `${debt.rate}% anual · ${debt.term} meses · día ${debt.paymentDay}`));
+            card.appendChild(header);
 
-        //Mostrar la deseada
-        document.getElementById(sectionId).classList.add('active');
+            card.appendChild(this.createEl('div', 'goal-amounts', `Saldo: ${this.formatMoney(s.balance, debt.currency)} de ${this.formatMoney(debt.principal, debt.currency)} · Cuota: ${this.formatMoney(s.payment, debt.currency)}`));
+            const bar = this.createEl('div', 'goal-bar');
+            const fill = this.createEl('div', s.balance <= 0.005 ? 'goal-bar-fill goal-complete' : 'goal-bar-fill');
+            fill.style.width = `${percent}%`;
+            bar.appendChild(fill);
+            card.appendChild(bar);
 
-        //Actualizar botones del menu
-        document.querySelectorAll('.nav-btn').forEach(b => b.classList.remove('active'));
+            let text;
+            if (s.balance <= 0.005) text = '¡Deuda saldada!';
+            else if (s.remaining.length === 0) text = 'La cuota no cubre los intereses: el saldo no baja.';
+            else text = `${s.count} pagos registrados (${this.formatMoney(s.interestPaid, debt.currency)} en intereses) · Quedan ${s.remaining.length} cuotas, próxima el ${s.remaining[0].date}`;
+            card.appendChild(this.createEl('p', s.balance > 0.005 && s.remaining.length === 0 ? 'goal-status text-danger' : 'goal-status', text));
 
-        //Buscar el boton que llamo a esta funcion y activarlo visualmente
-        const activeBtn = document.querySelector(`button[onclick="app.navigate('${sectionId}')"]`);
-        if(activeBtn) activeBtn.classList.add('active');
-        
-        //Cambiar titulo
-        const titles = {
-            'dashboard': 'Mapa del Reino',
-            'transactions': 'Diario de Movimientos',
-            'categories': 'Categorias en Hallownest',
-            'budgets': 'Gestión de Presupuestos'
+            const actions = this.createEl('div', 'goal-actions');
+            const btnPay = this.createEl('button', 'btn btn-primary', 'Pagar cuota');
+            btnPay.onclick = () => this.payDebt(debt.id, s.remaining[0]?.payment ?? s.payment);
+            btnPay.disabled = s.balance <= 0.005;
+            const btnTable = this.createEl('button', 'btn btn-primary', 'Amortización');
+            btnTable.onclick = () => this.toggleDebtSchedule(debt.id);
+            const btnEdit = this.createEl('button', 'btn btn-primary');
+            btnEdit.onclick = () => this.prepareEditDebt(debt);
+            btnEdit.appendChild(this.createEl('i', 'fas fa-edit'));
+            const btnDel = this.createEl('button', 'btn btn-danger');
+            btnDel.onclick = () => this.deleteDebt(debt.id);
+            btnDel.appendChild(this.createEl('i', 'fas fa-trash'));
+            [btnPay, btnTable, btnEdit, btnDel].forEach(b => actions.appendChild(b));
+            card.appendChild(actions);
+
+            //Tabla de amortizacion de lo que falta por pagar
+            if (this.openDebtId === debt.id) {
+                const table = this.createEl('table', 'data-table debt-schedule');
+                const headRow = this.createEl('tr');
+                ['#', 'Fecha', 'Cuota', 'Interés', 'Capital', 'Saldo'].forEach(h => headRow.appendChild(this.createEl('th', '', h)));
+                const thead = this.createEl('thead');
+                thead.appendChild(headRow);
+                table.appendChild(thead);
+                const tbody = this.createEl('tbody');
+                s.remaining.forEach(row => {
+                    const tr = this.createEl('tr');
+                    [row.n, row.date, this.formatMoney(row.payment, debt.currency), this.formatMoney(row.interest, debt.currency),
+                        this.formatMoney(row.principal, debt.currency), this.formatMoney(row.balance, debt.currency)]
+                        .forEach(v => tr.appendChild(this.createEl('td', '', String(v))));
+                    tbody.appendChild(tr);
+                });
+                table.appendChild(tbody);
+                card.appendChild(table);
+            }
+            list.appendChild(card);
+        });
+    }
+
+    //Bola de nieve (menor saldo primero) contra avalancha (mayor tasa primero), en moneda base
+    renderDebtStrategies(debts, status) {
+        const container = document.getElementById('debt-strategies');
+        if (!container) return;
+        container.replaceChildren();
+        const today = this.todayStr();
+        const pending = debts.filter(d => status[d.id].balance > 0.005).map(d => ({
+            id: d.id,
+            name: d.name,
+            rate: d.rate,
+            balance: this.toBase(status[d.id].balance, d.currency, today),
+            payment: this.toBase(status[d.id].payment, d.currency, today)
+        }));
+        if (pending.length < 2) {
+            container.appendChild(this.createEl('p', 'goal-empty', 'Se necesitan al menos dos deudas pendientes para comparar estrategias.'));
+            return;
+        }
+        const extra = parseFloat(document.getElementById('debt-extra').value) || 0;
+        const results = {
+            snowball: DebtPlanner.simulate(pending, extra, 'snowball'),
+            avalanche: DebtPlanner.simulate(pending, extra, 'avalanche')
         };
-        const titleEl = document.getElementById('page-title');
-        if(titleEl) titleEl.innerText = titles[sectionId];
+        const labels = { snowball: 'Bola de nieve (menor saldo primero)', avalanche: 'Avalancha (mayor tasa primero)' };
+
+        const table = this.createEl('table', 'data-table');
+        const headRow = this.createEl('tr');
+        ['Estrategia', 'Meses', 'Intereses totales', 'Orden de pago'].forEach(h => headRow.appendChild(this.createEl('th', '', h)));
+        const thead = this.createEl('thead');
+        thead.appendChild(headRow);
+        table.appendChild(thead);
+        const tbody = this.createEl('tbody');
+        Object.entries(results).forEach(([key, r]) => {
+            const tr = this.createEl('tr');
+            tr.appendChild(this.createEl('td', '', labels[key]));
+            tr.appendChild(this.createEl('td', '', r.months === null ? `Más de ${DebtPlanner.maxMonths}` : String(r.months)));
+            tr.appendChild(this.createEl('td', '', r.months === null ? '-' : this.formatMoney(r.interest)));
+            tr.appendChild(this.createEl('td', '', r.order.map(d => `${d.name} (mes ${d.month ?? '-'})`).join(' → ')));
+            tbody.appendChild(tr);
+        });
+        table.appendChild(tbody);
+        container.appendChild(table);
+
+        const { snowball, avalanche } = results;
+        let verdict;
+        if (snowball.months === null || avalanche.months === null) verdict = 'Con este presupuesto alguna deuda no se termina de pagar: aumenta el pago extra.';
+        else if (Math.abs(snowball.interest - avalanche.interest) < 0.01) verdict = 'Ambas estrategias cuestan lo mismo con estos datos.';
+        else verdict = `La avalancha ahorra ${this.formatMoney(snowball.interest - avalanche.interest)} en intereses; la bola de nieve liquida antes la primera deuda y da impulso.`;
+        container.appendChild(this.createEl('p', 'goal-status', verdict));
     }
-    
+
+    //Crear o actualizar una deuda
+    async saveDebt(e) {
+        e.preventDefault();
+        const idInput = document.getElementById('debt-id');
+        const debt = {
+            name: document.getElementById('debt-name').value.trim(),
+            principal: parseFloat(document.getElementById('debt-principal').value),
+            rate: parseFloat(document.getElementById('debt-rate').value) || 0,
+            term: parseInt(document.getElementById('debt-term').value),
+            paymentDay: parseInt(document.getElementById('debt-day').value),
+            startDate: document.getElementById('debt-start').value,
+            currency: document.getElementById('debt-currency').value
+        };
+        if (!debt.name || !(debt.principal > 0) || !(debt.term > 0) || !(debt.paymentDay >= 1 && debt.paymentDay <= 31) || !debt.startDate) return;
+
+        if (idInput.value) {
+            await this.db.command(`Deuda "${debt.name}" editada`, () => this.db.put('debts', { id: parseInt(idInput.value), ...debt }));
+        } else {
+            await this.db.command(`Deuda "${debt.name}" creada`, () => this.db.add('debts', debt));
+        }
+        this.resetDebtForm();
+        this.updateUI();
+    }
+
+    //Cargar una deuda en el formulario
+    prepareEditDebt(debt) {
+        document.getElementById('debt-id').value = debt.id;
+        document.getElementById('debt-name').value = debt.name;
+        document.getElementById('debt-principal').value = debt.principal;
+        document.getElementById('debt-rate').value = debt.rate;
+        document.getElementById('debt-term').value = debt.term;
+        document.getElementById('debt-day').value = debt.paymentDay;
+        document.getElementById('debt-start').value = debt.startDate;
+        document.getElementById('debt-currency').value = debt.currency;
+        document.getElementById('debt-submit-btn').textContent = 'Actualizar';
+        document.getElementById('debt-cancel-btn').style.display = 'inline-block';
+        document.getElementById('debt-name').focus();
+    }
+
+    resetDebtForm() {
+        document.getElementById('debt-form').reset();
+        document.getElementById('debt-id').value = '';
+        document.getElementById('debt-currency').value = this.baseCurrency;
+        document.getElementById('debt-submit-btn').textContent = 'Agregar';
+        document.getElementById('debt-cancel-btn').style.display = 'none';
+    }
+
+    //Eliminar una deuda: sus pagos se conservan en el diario, solo se desvinculan
+    async deleteDebt(id) {
+        if (!confirm('¿Eliminar esta deuda? Los pagos registrados se conservan en el diario.')) return;
+        await this.db.command('Deuda eliminada', () => new Promise((resolve) => {
+            const tx = this.db.transaction(['debts', 'transactions'], 'readwrite');
+            const txStore = tx.objectStore('transactions');
+            const request = txStore.index('debt').getAll(id);
+            request.onsuccess = () => request.result.forEach(t => txStore.put({ ...t, debtId: null }));
+            tx.objectStore('debts').delete(id);
+            tx.oncomplete = () => resolve(true);
+        }));
+        if (this.openDebtId === id) this.openDebtId = null;
+        this.updateUI();
+    }
+
+    //Ir al formulario de registros con el pago de la cuota ya cargado
+    payDebt(id, amount) {
+        if (this.editingTxId) this.cancelEditTransaction();
+        this.navigate('transactions');
+        document.getElementById('tx-type').value = 'expense';
+        this.handleTxTypeChange();
+        document.getElementById('tx-debt').value = id;
+        document.getElementById('tx-amount').value = amount.toFixed(2);
+        document.getElementById('tx-form').scrollIntoView({ behavior: 'smooth' });
+        document.getElementById('tx-amount').focus();
+    }
+
+    toggleDebtSchedule(id) {
+        this.openDebtId = this.openDebtId === id ? null : id;
+        this.renderDebts();
+    }
+
     //Placeholder para cuando cambie la fecha
-    handleDateChange(value) {
+    async handleDateChange(value) {
         this.currentMonth = value;
+        await this.applyBudgetTemplate(value, false);
         this.updateUI();
     }
 }
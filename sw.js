@@ -0,0 +1,68 @@
+/**
+ * Service Worker de GeoFinance
+ * Guarda la aplicacion y sus librerias en la cache para que funcione sin conexion
+ * (los datos ya viven en IndexedDB). Al publicar una version nueva hay que subir
+ * CACHE_VERSION: el navegador detecta el cambio, instala el worker nuevo y la app
+ * ofrece recargar.
+ */
+const CACHE_VERSION = 'geofinance-v3';
+
+//Todo lo que la app necesita para arrancar sin red (rutas relativas al scope del worker)
+const PRECACHE = [
+    './',
+    'index.html',
+    'script.js',
+    'style.css',
+    'manifest.webmanifest',
+    'assets/fondo.webp',
+    'assets/icons/icon-192.png',
+    'assets/icons/icon-512.png',
+    'vendor/chart.js/chart.umd.min.js',
+    'vendor/fontawesome/css/all.min.css',
+    'vendor/fontawesome/webfonts/fa-brands-400.woff2',
+    'vendor/fontawesome/webfonts/fa-regular-400.woff2',
+    'vendor/fontawesome/webfonts/fa-solid-900.woff2',
+    'vendor/fontawesome/webfonts/fa-v4compatibility.woff2',
+    'vendor/fonts/fonts.css',
+    'vendor/fonts/cinzel-latin-400-normal.woff2',
+    'vendor/fonts/cinzel-latin-700-normal.woff2',
+    'vendor/fonts/lato-latin-300-normal.woff2',
+    'vendor/fonts/lato-latin-400-normal.woff2',
+    'vendor/fonts/lato-latin-700-normal.woff2'
+];
+
+//Instalar: descargar todo de una vez (si falla un archivo, la version no se instala)
+//No se activa solo: espera a que la app pida SKIP_WAITING para no cambiar el codigo a mitad de uso
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(CACHE_VERSION).then(cache => cache.addAll(PRECACHE)));
+});
+
+//Activar: borrar las caches de versiones anteriores y tomar control de las pestañas abiertas
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_VERSION).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+//La app avisa cuando el usuario acepta la actualizacion
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+//Primero la cache; lo que no esta (otro origen, archivos nuevos) va a la red
+//Una navegacion sin red cae en index.html
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+    event.respondWith(
+        caches.match(request, { ignoreSearch: true }).then(cached => {
+            if (cached) return cached;
+            return fetch(request).catch(() => {
+                if (request.mode === 'navigate') return caches.match('index.html');
+                return Response.error();
+            });
+        })
+    );
+});
@@ -0,0 +1,67 @@
+/**
+ * Servidor de sincronizacion de prueba (Node.js, sin dependencias)
+ * Guarda en memoria la lista de cambios que envian los dispositivos y se la entrega a los demas.
+ *
+ *   node tools/mock-sync-server.js [puerto]      (por defecto 8787)
+ *
+ * En Ajustes > Sincronización usar http://localhost:8787 como servidor.
+ * POST /changes  { deviceId, changes: [...] }      -> { cursor }
+ * GET  /changes?since=N&deviceId=X                 -> { changes: [...], cursor }  (sin los de X)
+ * DELETE /changes                                  -> vacia la lista (para empezar de nuevo)
+ */
+const http = require('http');
+
+const port = parseInt(process.argv[2] || process.env.PORT || '8787');
+//Cada cambio recibe un numero de secuencia; el cursor de un dispositivo es el ultimo que vio
+let log = [];
+let seq = 0;
+
+const send = (res, status, body) => {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+    });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+};
+
+const server = http.createServer((req, res) => {
+    const url = new URL(req.url, `http://localhost:${port}`);
+    if (req.method === 'OPTIONS') return send(res, 204);
+    if (url.pathname !== '/changes') return send(res, 404, { error: 'Ruta desconocida' });
+
+    if (req.method === 'GET') {
+        const since = parseInt(url.searchParams.get('since') || '0');
+        const deviceId = url.searchParams.get('deviceId');
+        const changes = log.filter(c => c.seq > since && c.deviceId !== deviceId);
+        return send(res, 200, { changes, cursor: seq });
+    }
+
+    if (req.method === 'DELETE') {
+        log = [];
+        seq = 0;
+        return send(res, 200, { cursor: seq });
+    }
+
+    if (req.method === 'POST') {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            try {
+                const { deviceId, changes } = JSON.parse(body);
+                if (!deviceId || !Array.isArray(changes)) return send(res, 400, { error: 'Faltan deviceId o changes' });
+                changes.forEach(c => log.push({ ...c, deviceId, seq: ++seq }));
+                console.log(`${deviceId}: ${changes.length} cambios (total ${log.length})`);
+                send(res, 200, { cursor: seq });
+            } catch (error) {
+                send(res, 400, { error: 'JSON invalido' });
+            }
+        });
+        return;
+    }
+
+    send(res, 405, { error: 'Metodo no permitido' });
+});
+
+server.listen(port, () => console.log(`Servidor de sincronizacion de prueba en http://localhost:${port}`));